@@ -0,0 +1,97 @@
+/**
+ * @file IAB consent management platform externs for the Closure compiler.
+ * @license Apache
+ * Copyright 2016 Google Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+*/
+
+/* eslint-disable valid-jsdoc, no-var, no-unused-vars, camelcase */
+
+/**
+ * @interface
+ */
+var TCData = function() {};
+
+/**
+ * @type {string}
+ */
+TCData.prototype.tcString;
+
+/**
+ * @type {boolean}
+ */
+TCData.prototype.gdprApplies;
+
+/**
+ * @type {string}
+ */
+TCData.prototype.eventStatus;
+
+/**
+ * @type {number}
+ */
+TCData.prototype.listenerId;
+
+/**
+ * @type {{consents: !Object<string, boolean>}}
+ */
+TCData.prototype.purpose;
+
+/**
+ * @param {string} command
+ * @param {number} version
+ * @param {function(?TCData, boolean)} callback
+ * @param {*=} opt_parameter
+ */
+Window.prototype.__tcfapi =
+  function(command, version, callback, opt_parameter) {};
+
+/**
+ * @param {string} command
+ * @param {number} version
+ * @param {function(?{uspString: string}, boolean)} callback
+ */
+Window.prototype.__uspapi = function(command, version, callback) {};
+
+/**
+ * @interface
+ */
+var GPPPingData = function() {};
+
+/**
+ * @type {string}
+ */
+GPPPingData.prototype.gppString;
+
+/**
+ * @type {string}
+ */
+GPPPingData.prototype.signalStatus;
+
+/**
+ * @type {!Array<number>}
+ */
+GPPPingData.prototype.applicableSections;
+
+/**
+ * @type {!Object<string, !Object|!Array<!Object>>}
+ */
+GPPPingData.prototype.parsedSections;
+
+/**
+ * @param {string} command
+ * @param {function(?{pingData: !GPPPingData}, boolean)} callback
+ * @param {*=} opt_parameter
+ */
+Window.prototype.__gpp = function(command, callback, opt_parameter) {};
@@ -72,6 +72,25 @@ googletag.PubAdsService.prototype.setPublisherProvidedId = function(ppid) {};
  */
 googletag.PubAdsService.prototype.setTargeting = function(key, value) {};
 
+/**
+ * @param {string=} opt_key
+ * @return {!googletag.PubAdsService}
+ */
+googletag.PubAdsService.prototype.clearTargeting = function(opt_key) {};
+
+/**
+ * Changes the correlator sent with ad requests.
+ */
+googletag.PubAdsService.prototype.updateCorrelator = function() {};
+
+/**
+ * @param  {string} adUnitPath
+ * @param  {googletag.GeneralSize} size
+ * @return {!googletag.PassbackSlot}
+ */
+googletag.PubAdsService.prototype.definePassback =
+  function(adUnitPath, size) {};
+
 /**
  * @param {boolean} forceSafeFrame
  */
@@ -88,6 +107,29 @@ googletag.PubAdsService.prototype.setSafeFrameConfig = function(config) {};
  */
 googletag.PubAdsService.prototype.setCentering = function(centerAds) {};
 
+/**
+ * @param {!Object} settings
+ * @return {!googletag.PubAdsService}
+ */
+googletag.PubAdsService.prototype.setPrivacySettings = function(settings) {};
+
+/**
+ * @param {number} nonPersonalizedAds
+ * @return {!googletag.PubAdsService}
+ */
+googletag.PubAdsService.prototype.setRequestNonPersonalizedAds =
+  function(nonPersonalizedAds) {};
+
+/**
+ * @return {!Array<!googletag.Slot>}
+ */
+googletag.PubAdsService.prototype.getSlots = function() {};
+
+/**
+ * @return {boolean}
+ */
+googletag.PubAdsService.prototype.enableSingleRequest = function() {};
+
 /**
  * Disables loading ads on display calls.
  */
@@ -100,6 +142,49 @@ googletag.PubAdsService.prototype.disableInitialLoad = function() {};
 googletag.PubAdsService.prototype.collapseEmptyDivs =
   function(opt_collapseBeforeAdFetch) {};
 
+/**
+ * @param {string} eventType
+ * @param {function(!googletag.events.SlotEvent)} listener
+ * @return {!googletag.PubAdsService}
+ */
+googletag.PubAdsService.prototype.addEventListener =
+  function(eventType, listener) {};
+
+/**
+ * @const
+ */
+googletag.events = {};
+
+/**
+ * @interface
+ */
+googletag.events.SlotEvent = function() {};
+
+/**
+ * @type {!googletag.Slot}
+ */
+googletag.events.SlotEvent.prototype.slot;
+
+/**
+ * @type {string}
+ */
+googletag.events.SlotEvent.prototype.serviceName;
+
+/**
+ * @type {boolean}
+ */
+googletag.events.SlotEvent.prototype.isEmpty;
+
+/**
+ * @type {?googletag.SingleSizeArray|string}
+ */
+googletag.events.SlotEvent.prototype.size;
+
+/**
+ * @type {number}
+ */
+googletag.events.SlotEvent.prototype.inViewPercentage;
+
 /**
  * @typedef {Array<number>}
  */
@@ -148,11 +233,57 @@ googletag.SafeFrameConfig = function() {};
  */
 googletag.defineSlot = function(adUnitPath, size, opt_div) {};
 
+/**
+ * @param  {string} adUnitPath
+ * @param  {(string|number)=} opt_divOrFormat
+ * @return {?googletag.Slot}
+ */
+googletag.defineOutOfPageSlot = function(adUnitPath, opt_divOrFormat) {};
+
+/**
+ * @param {string|!googletag.Slot} divOrSlot
+ */
+googletag.display = function(divOrSlot) {};
+
+/**
+ * @const
+ */
+googletag.enums = {};
+
+/**
+ * @enum {number}
+ */
+googletag.enums.OutOfPageFormat = {
+  TOP_ANCHOR: 2,
+  BOTTOM_ANCHOR: 3,
+  REWARDED: 4,
+  INTERSTITIAL: 5,
+  LEFT_SIDE_RAIL: 8,
+  RIGHT_SIDE_RAIL: 9
+};
+
 /**
  * @return {!googletag.PubAdsService}
  */
 googletag.pubads = function() {};
 
+/**
+ * @interface
+ * @extends {googletag.Service}
+ */
+googletag.CompanionAdsService = function() {};
+
+/**
+ * @param {boolean} value
+ */
+googletag.CompanionAdsService.prototype.setRefreshUnfilledSlots =
+  function(value) {};
+
+/**
+ * @return {!googletag.CompanionAdsService}
+ */
+googletag.companionAds = function() {};
+
 /**
  * Enables all GPT services.
  */
@@ -206,6 +337,34 @@ googletag.Slot.prototype.setTargeting = function(key, value) {};
 googletag.Slot.prototype.setCollapseEmptyDiv =
   function(collapse, opt_collapseBeforeAdFetch) {};
 
+/**
+ * @param {string=} opt_key
+ * @return {!googletag.Slot}
+ */
+googletag.Slot.prototype.clearTargeting = function(opt_key) {};
+
+/**
+ * @return {string}
+ */
+googletag.Slot.prototype.getSlotElementId = function() {};
+
+/**
+ * @interface
+ */
+googletag.PassbackSlot = function() {};
+
+/**
+ * @param {string} key
+ * @param {string|!Array<string>} value
+ * @return {!googletag.PassbackSlot}
+ */
+googletag.PassbackSlot.prototype.setTargeting = function(key, value) {};
+
+/**
+ * Displays the passback.
+ */
+googletag.PassbackSlot.prototype.display = function() {};
+
 /**
  * @param  {Array<!googletag.Slot>=} opt_slots
  * @return {boolean}
@@ -17,7 +17,7 @@
 
 module.exports = {
   concat: {
-    src: 'src/**/*.js',
+    src: ['src/**/*.js', '!src/mocks/**'],
     output: 'angular-dfp.es6.js',
     dest: './bin'
   },
@@ -26,10 +26,15 @@ module.exports = {
     dest: './bin'
   },
   compile: {
-    src: 'src/**/*.js',
+    src: ['src/**/*.js', '!src/mocks/**'],
     output: 'angular-dfp.min.js',
     dest: './bin'
   },
+  mocks: {
+    src: ['src/mocks/index.js', 'src/mocks/**/*.js'],
+    output: 'angular-dfp-mocks.js',
+    dest: './bin'
+  },
   docs: {
     src: ['README.md', './src/**/*.js']
   },
@@ -19,4 +19,6 @@
 const gulp = require('gulp');
 require('require-dir')('./gulp/tasks', {recurse: true});
 
-gulp.task('default', ['lint', 'transpile', 'compile', 'docs', 'demo']);
+gulp.task('default', [
+  'lint', 'transpile', 'compile', 'mocks', 'docs', 'demo'
+]);
@@ -9,7 +9,11 @@
 * <dfp-ad force-safe-frame
 *         collapse-if-empty
 *         refresh='3s'
-*         ad-unit="/path/to/my/ad-unit">
+*         max-refreshes='20'
+*         lazy-load="300px"
+*         ad-unit="/path/to/my/ad-unit"
+*         on-render="vm.rendered($event)"
+*         on-empty="vm.hideContainer()">
 *   <dfp-size width="728" height="90"></dfp-size>
 *   <dfp-targeting key="sport" value="football"></dfp-targeting>
 *   <dfp-targeting key="food">
@@ -21,6 +25,16 @@
 *   </dfp-responsive>
 * </dfp-ad>
 *
+* @example <caption>A companion slot of the video player 'myVideo'.</caption>
+* <dfp-ad ad-unit="/path/to/my/ad-unit" companion-for="myVideo">
+*   <dfp-size width="300" height="250"></dfp-size>
+* </dfp-ad>
+*
+* @example <caption>An anchor ad, rendered into a container of GPT.</caption>
+* <dfp-ad ad-unit="/path/to/my/ad-unit" format="bottom-anchor">
+*   <dfp-targeting key="section" value="news"></dfp-targeting>
+* </dfp-ad>
+*
 * @module dfp-ad
 * @license Apache
 * Copyright 2016 Google Inc.
@@ -46,12 +60,45 @@ googletag.cmd = googletag.cmd || [];
 (/** @lends module:dfp-ad */ function(module) {
   'use strict';
 
+  /**
+  * An error thrown for an invalid `format` of a `dfp-ad` directive.
+  * @private
+  */
+  class DFPFormatError extends Error {}
+
+  /* eslint-disable quote-props */
+  /**
+  * The out-of-page formats of the `format` attribute, mapped to the name of
+  * their `googletag.enums.OutOfPageFormat` member. Plain out-of-page slots
+  * have none, as they render into the directive's element.
+  * @type {!Object<string, ?string>}
+  * @constant
+  * @private
+  */
+  const OUT_OF_PAGE_FORMATS = Object.freeze({
+    'out-of-page': null,
+    'interstitial': 'INTERSTITIAL',
+    'top-anchor': 'TOP_ANCHOR',
+    'bottom-anchor': 'BOTTOM_ANCHOR',
+    'left-side-rail': 'LEFT_SIDE_RAIL',
+    'right-side-rail': 'RIGHT_SIDE_RAIL'
+  });
+  /* eslint-enable quote-props */
+
+  /**
+  * An error thrown for an invalid `max-refreshes` of a `dfp-ad` directive.
+  * @private
+  */
+  class DFPMaxRefreshesError extends Error {}
+
   /**
   * The controller for the `dfp-ad` directive.
+  * @param {!angular.$timeout} $timeout The Angular `$timeout` service.
   * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
+  * @param {Function} dfpRefresh The `dfpRefresh` service.
   * @private
   */
-  function dfpAdController(DFPIncompleteError) {
+  function dfpAdController($timeout, DFPIncompleteError, dfpRefresh) {
     /**
     * The fixed (non-responsive) sizes for the ad slot.
     * @type {Array}
@@ -82,6 +129,48 @@ googletag.cmd = googletag.cmd || [];
     */
     const scripts = [];
 
+    /**
+    * The ad slot, once defined.
+    * @type {?googletag.Slot}
+    */
+    let slot = null;
+
+    /**
+    * Whether a refresh due to changed targeting is pending.
+    * @type {boolean}
+    */
+    let refreshPending = false;
+
+    /**
+    * Applies a targeting to the slot, clearing the key if it has no values.
+    * @param {!googletag.Slot} slot The ad slot.
+    * @param {!Object} targeting The `{key, values}` targeting.
+    */
+    function applyTargeting(slot, targeting) {
+      if (!targeting.key) return;
+
+      if (targeting.values.length > 0) {
+        slot.setTargeting(targeting.key, targeting.values);
+      } else {
+        slot.clearTargeting(targeting.key);
+      }
+    }
+
+    /**
+    * Refreshes the slot once all changes of the current digest are applied.
+    */
+    function scheduleRefresh() {
+      if (refreshPending) return;
+      refreshPending = true;
+
+      $timeout(() => {
+        refreshPending = false;
+
+        // The slot may have been destroyed in the meantime
+        if (slot) dfpRefresh(slot);
+      }, 0, false);
+    }
+
     /**
      * Returns the boolean property defined on the controller.
      *
@@ -100,7 +189,28 @@ googletag.cmd = googletag.cmd || [];
     * @throws {DFPIncompleteError} If the ad slot definition is not complete.
     */
     this.checkValid = function() {
-      if (sizes.length === 0) {
+      // eslint-disable-next-line dot-notation
+      const format = this['format'];
+
+      if (format && !OUT_OF_PAGE_FORMATS.hasOwnProperty(format)) {
+        throw new DFPFormatError(
+          `Invalid format '${format}' for dfp-ad. Expected one of ` +
+          Object.keys(OUT_OF_PAGE_FORMATS).join(', ')
+        );
+      }
+
+      // eslint-disable-next-line dot-notation
+      const maxRefreshes = this['maxRefreshes'];
+
+      if (maxRefreshes && !/^\s*\d+\s*$/.test(maxRefreshes)) {
+        throw new DFPMaxRefreshesError(
+          `Invalid max-refreshes '${maxRefreshes}' for dfp-ad. Expected a ` +
+          'non-negative integer'
+        );
+      }
+
+      // Out-of-page slots have no sizes
+      if (sizes.length === 0 && !format) {
         throw new DFPIncompleteError('dfp-ad', 'dfp-size');
       }
       // eslint-disable-next-line dot-notation
@@ -123,12 +233,20 @@ googletag.cmd = googletag.cmd || [];
         targetings,
         exclusions,
         adUnit: this['adUnit'],
+        format: this['format'],
+        companionFor: this['companionFor'],
         forceSafeFrame: this.booleanProperty('forceSafeFrame'),
         safeFrameConfig: this['safeFrameConfig'],
         clickUrl: this['clickUrl'],
         refresh: this['refresh'],
+        maxRefreshes: this['maxRefreshes'],
         scripts,
-        collapseIfEmpty: this.booleanProperty('collapseIfEmpty')
+        collapseIfEmpty: this.booleanProperty('collapseIfEmpty'),
+        lazyLoad: this['lazyLoad'],
+        onRender: this['onRender'],
+        onEmpty: this['onEmpty'],
+        onViewable: this['onViewable'],
+        onLoad: this['onLoad']
       });
     };
     /* eslint-enable dot-notation */
@@ -164,6 +282,60 @@ googletag.cmd = googletag.cmd || [];
       targetings.push(targeting);
     };
 
+    /**
+    * Replaces a registered targeting object, updating the live slot.
+    *
+    * If the slot is already defined, the new targeting is applied to it right
+    * away (clearing the previous key, if it changed). It then only affects
+    * subsequent requests, unless a refresh is requested.
+    *
+    * @param {!Object} previous The targeting object registered so far.
+    * @param {!Object} targeting The new `{key, values}` targeting object.
+    * @param {boolean=} refresh Whether to refresh the slot with the change.
+    */
+    this.updateTargeting = function(previous, targeting, refresh) {
+      const index = targetings.indexOf(previous);
+      console.assert(index !== -1);
+      targetings[index] = targeting;
+
+      if (!slot) return;
+
+      const definedSlot = slot;
+      googletag.cmd.push(() => {
+        if (previous.key && previous.key !== targeting.key) {
+          definedSlot.clearTargeting(previous.key);
+        }
+
+        applyTargeting(definedSlot, targeting);
+      });
+
+      if (refresh) scheduleRefresh();
+    };
+
+    /**
+    * Applies all registered targeting objects to a slot.
+    * @param {!googletag.Slot} slot The ad slot.
+    */
+    this.applyTargetings = function(slot) {
+      targetings.forEach(targeting => applyTargeting(slot, targeting));
+    };
+
+    /**
+    * Stores the slot once it is defined by the directive.
+    * @param {?googletag.Slot} definedSlot The ad slot.
+    */
+    this.setSlot = function(definedSlot) {
+      slot = definedSlot;
+    };
+
+    /**
+    * Returns the slot, if defined yet.
+    * @return {?googletag.Slot} The ad slot, or null.
+    */
+    this.getSlot = function() {
+      return slot;
+    };
+
     /**
     * Registers a category exclusion for the slot.
     * @param {string} exclusion The category exclusion label.
@@ -204,19 +376,49 @@ googletag.cmd = googletag.cmd || [];
   * @param  {Function} $injector {@link http://docs.angularjs.org/api/ng.$injector}
   */
   function dfpAdDirective(scope, element, attributes, controller, $injector) {
+    const $log = $injector.get('$log');
     const dfp = $injector.get('dfp');
+    const dfpEvents = $injector.get('dfpEvents');
     const dfpIDGenerator = $injector.get('dfpIDGenerator');
+    const dfpLazyLoad = $injector.get('dfpLazyLoad');
     const dfpRefresh = $injector.get('dfpRefresh');
     const dfpResponsiveResize = $injector.get('dfpResponsiveResize');
+    const dfpSlots = $injector.get('dfpSlots');
+    const dfpCompanions = $injector.get('dfpCompanions');
 
     const ad = controller.getState();
 
+    /**
+    * The ad slot, once defined.
+    * @type {?googletag.Slot}
+    */
+    let slot = null;
+
+    /**
+    * Whether the directive was destroyed.
+    * @type {boolean}
+    */
+    let destroyed = false;
+
     const jQueryElement = element;
     element = element[0];
 
+    // Formats such as interstitials are rendered into containers of GPT
+    const isManagedFormat = Boolean(ad.format) &&
+                            OUT_OF_PAGE_FORMATS[ad.format] !== null;
+
       // Generate an ID or check for uniqueness of an existing one
     dfpIDGenerator(element);
 
+    // Register companion sizes right away, so that the video player can
+    // request them with its first ad
+    if (ad.companionFor) {
+      const unregister = dfpCompanions.register(ad.companionFor,
+                                                element.id,
+                                                ad.sizes);
+      scope.$on('$destroy', unregister);
+    }
+
     /**
     * Handles the responsive mapping (`sizeMapping`) building.
     * @param {googletag.Slot} slot The ad slot.
@@ -248,6 +450,54 @@ googletag.cmd = googletag.cmd || [];
       }));
     }
 
+    /**
+    * Registers the `on-*` expression attributes as slot event handlers.
+    *
+    * The expressions are evaluated with the GPT event object available as
+    * `$event`. The `on-render` expression is evaluated for every filled
+    * render, while `on-empty` is evaluated when no ad was returned.
+    *
+    * @param {googletag.Slot} slot The ad slot.
+    */
+    function addEventHandlers(slot) {
+      dfpEvents.on(slot, 'slotRenderEnded', event => {
+        const expression = event.isEmpty ? ad.onEmpty : ad.onRender;
+        if (expression) expression({$event: event});
+      });
+
+      if (ad.onViewable) {
+        dfpEvents.on(slot, 'impressionViewable', event => {
+          ad.onViewable({$event: event});
+        });
+      }
+
+      if (ad.onLoad) {
+        dfpEvents.on(slot, 'slotOnload', event => {
+          ad.onLoad({$event: event});
+        });
+      }
+    }
+
+    /**
+    * Defines the slot with GPT, depending on its format.
+    * @return {?googletag.Slot} The slot, or null if GPT refused the format.
+    */
+    function createSlot() {
+      if (!ad.format) {
+        return googletag.defineSlot(ad.adUnit, ad.sizes, element.id);
+      }
+
+      if (!isManagedFormat) {
+        return googletag.defineOutOfPageSlot(ad.adUnit, element.id);
+      }
+
+      const format = OUT_OF_PAGE_FORMATS[ad.format];
+      return googletag.defineOutOfPageSlot(
+        ad.adUnit,
+        googletag.enums.OutOfPageFormat[format]
+      );
+    }
+
     /**
     * Defines the ad slot, aggregating all nested directives.
     *
@@ -260,7 +510,26 @@ googletag.cmd = googletag.cmd || [];
     * queue to fetch an ad from the DoubleClick ad network.
     */
     function defineSlot() {
-      const slot = googletag.defineSlot(ad.adUnit, ad.sizes, element.id);
+      // GPT may only be ready (e.g. once consent is given) after the
+      // directive is gone
+      if (destroyed) return;
+
+      slot = createSlot();
+
+      // GPT refuses formats the page or device does not support, such as
+      // anchors on desktop or interstitials in iframes
+      if (slot === null) {
+        $log.warn(`GPT refused the '${ad.format}' format of ${ad.adUnit}.`);
+
+        // Slots are defined within the command queue, outside any digest
+        scope.$evalAsync(() => {
+          scope.$emit('dfp:formatUnsupported', {
+            adUnit: ad.adUnit,
+            format: ad.format
+          });
+        });
+        return;
+      }
 
       if (ad.forceSafeFrame !== undefined) {
         slot.setForceSafeFrame(true);
@@ -282,10 +551,9 @@ googletag.cmd = googletag.cmd || [];
       }
 
       addResponsiveMapping(slot);
+      addEventHandlers(slot);
 
-      ad.targetings.forEach(targeting => {
-        slot.setTargeting(targeting.key, targeting.values);
-      });
+      controller.applyTargetings(slot);
 
       ad.exclusions.forEach(exclusion => {
         slot.setCategoryExclusion(exclusion);
@@ -295,34 +563,79 @@ googletag.cmd = googletag.cmd || [];
 
       slot.addService(googletag.pubads());
 
+      if (ad.companionFor) {
+        slot.addService(googletag.companionAds());
+      }
+
       // When initialLoad is disabled, display()
       // will only register the slot as ready, but not actually
       // fetch an ad for it yet. This is done via refresh().
-      googletag.display(element.id);
+      googletag.display(isManagedFormat ? slot : element.id);
 
-      // Send to the refresh proxy
-      dfpRefresh(slot, ad.refresh).then(() => {
-        if (ad.responsiveMapping.length > 0) {
-          const dimensions = extractViewportDimensions(ad.responsiveMapping);
-          dfpResponsiveResize(jQueryElement, slot, dimensions);
-        }
-      });
+      if (ad.maxRefreshes) {
+        dfpRefresh.setMaxRefreshes(slot, parseInt(ad.maxRefreshes, 10));
+      }
 
-      scope.$on('$destroy', () => {
-        // Release resources allocated for the slot and assert
-        // that it really did destroy the slot
-        console.assert(googletag.destroySlots([slot]));
-      });
+      // Companions are filled along with the video ad (or refreshed by GPT
+      // when they remain unfilled), all others via the refresh proxy
+      if (!ad.companionFor) {
+        dfpRefresh(slot, ad.refresh).then(() => {
+          if (ad.responsiveMapping.length > 0) {
+            const dimensions = extractViewportDimensions(ad.responsiveMapping);
+            dfpResponsiveResize(jQueryElement, slot, dimensions);
+          }
+        });
+      }
+
+      // Make the slot available to the rest of the application
+      controller.setSlot(slot);
+
+      // Forget the slot if it is destroyed through the registry, so that
+      // later targeting changes don't reach a destroyed slot
+      dfpSlots.register(slot, ad, () => controller.setSlot(null));
     }
 
-    // Push the ad slot definition into the command queue.
-    dfp.then(defineSlot);
+    scope.$on('$destroy', () => {
+      destroyed = true;
+      if (slot === null) return;
+
+      controller.setSlot(null);
+
+      // Stop refreshing the slot, even if it was unregistered
+      dfpRefresh.teardownSlot(slot);
+
+      // The slot may have been destroyed through the registry already
+      if (dfpSlots.has(slot.getSlotElementId())) {
+        dfpSlots.destroy(slot.getSlotElementId());
+      }
+    });
+
+    const lazyLoadMargin = dfp.getLazyLoadMargin(ad.lazyLoad);
+
+    // Formats managed by GPT don't have a position on the page to wait for,
+    // and companions must be defined by the time the video ad is served
+    if (lazyLoadMargin === null || isManagedFormat || ad.companionFor) {
+      // Push the ad slot definition into the command queue.
+      dfp.then(defineSlot);
+    } else {
+      // Only define the slot once it approaches the viewport
+      const cancel = dfpLazyLoad(element, lazyLoadMargin, () => {
+        dfp.then(defineSlot);
+      });
+
+      scope.$on('$destroy', cancel);
+    }
   }
 
   module.directive('dfpAd', ['$injector', function($injector) {
     return {
       restrict: 'AE',
-      controller: ['DFPIncompleteError', dfpAdController],
+      controller: [
+        '$timeout',
+        'DFPIncompleteError',
+        'dfpRefresh',
+        dfpAdController
+      ],
       controllerAs: 'controller',
       bindToController: true,
       link: function(...args) {
@@ -331,11 +644,19 @@ googletag.cmd = googletag.cmd || [];
       /* eslint-disable quote-props */
       scope: {
         'adUnit': '@',
+        'format': '@',
+        'companionFor': '@',
         'clickUrl': '@',
         'forceSafeFrame': '@',
         'safeFrameConfig': '@',
         'refresh': '@',
-        'collapseIfEmpty': '@'
+        'maxRefreshes': '@',
+        'collapseIfEmpty': '@',
+        'lazyLoad': '@',
+        'onRender': '&?',
+        'onEmpty': '&?',
+        'onViewable': '&?',
+        'onLoad': '&?'
       }
       /* eslint-enable quote-props */
     };
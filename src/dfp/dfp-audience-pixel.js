@@ -1,4 +1,10 @@
 /**
+* @file Fires an audience pixel from a template.
+*
+* @example <caption>A pixel fired once a purchase is complete.</caption>
+* <dfp-audience-pixel segment-id="1234567" ad-unit="/path/to/my/unit"
+*                     fire-on="purchase:complete"></dfp-audience-pixel>
+*
 * @module dfp-audience-pixel
 * @license Apache
 * Copyright 2016 Google Inc.
@@ -24,12 +30,9 @@
   *
   * The `dfp-audience-pixel` tag.
   *
-  * Audience pixels are useful for getting audience impressions on parts of a
-  * page that do not show ads. Usually, audience impressions are generated when
-  * a user sees an ad (unit) and is then eventually added to that audience
-  * segment. However, when you have no ads but still want to record an
-  * impression for an audience segment, you can add a transparent 1x1 pixel to
-  * do so.
+  * Fires an audience pixel through the `dfpAudience` service: right away,
+  * or, with a `fire-on` attribute, whenever that event is broadcast (e.g.
+  * `fire-on="purchase:complete"`). A pixel is fired at most once per session.
   *
   * @private
   * @see [Google DFP Support]{@link https://support.google.com/dfp_premium/answer/2508388?hl=en}
@@ -37,44 +40,45 @@
   * @param {Object} scope The angular scope.
   * @param {Object} element The HTML element on which the directive is defined.
   * @param {Object} attributes The attributes of the element.
+  * @param {Object} dfpAudience The `dfpAudience` service.
   */
-  function dfpAudiencePixelDirective(scope, element, attributes) {
-    const axel = String(Math.random());
-    const random = axel * 10000000000000;
-
+  function dfpAudiencePixelDirective(scope, element, attributes, dfpAudience) {
     /* eslint-disable dot-notation */
-
-    let adUnit = '';
-    if (scope.adUnit) {
-      adUnit = `dc_iu=${scope['adUnit']}`;
+    /**
+    * Fires the pixel as currently configured.
+    */
+    function fire() {
+      dfpAudience.fire(scope['segmentId'], {
+        adUnit: scope['adUnit'],
+        ppid: scope['ppid'],
+        customParams: scope['customParams']
+      });
     }
 
-    let ppid = '';
-    if (scope.ppid) {
-      ppid = `ppid=${scope['ppid']}`;
+    if (scope['fireOn']) {
+      scope.$on(scope['fireOn'], fire);
+    } else {
+      fire();
     }
-
-    const pixel = document.createElement('img');
-
-    pixel.src = 'https://pubads.g.doubleclick.net/activity;ord=';
-    pixel.src += `${random};dc_seg=${scope['segmentId']};${adUnit}${ppid}`;
-
     /* eslint-enable dot-notation */
-
-    pixel.width = 1;
-    pixel.height = 1;
-    pixel.border = 0;
-    pixel.style.visibility = 'hidden';
-
-    element.append(pixel);
   }
 
-  module.directive('dfpAudiencePixel', [() => {
+  module.directive('dfpAudiencePixel', ['dfpAudience', dfpAudience => {
     return {
       restrict: 'E',
-      link: dfpAudiencePixelDirective,
-      // eslint-disable-next-line quote-props
-      scope: {'adUnit': '@', 'segmentId': '@', 'ppid': '@'}
+      link: function(...args) {
+        args = args.slice(0, 3).concat(dfpAudience);
+        dfpAudiencePixelDirective.apply(null, args);
+      },
+      /* eslint-disable quote-props */
+      scope: {
+        'adUnit': '@',
+        'segmentId': '@',
+        'ppid': '@',
+        'customParams': '=',
+        'fireOn': '@'
+      }
+      /* eslint-enable quote-props */
     };
   }]);
 
@@ -0,0 +1,220 @@
+/**
+* @file Fires audience pixels.
+*
+* Audience pixels are useful for getting audience impressions on parts of a
+* page that do not show ads. Usually, audience impressions are generated when
+* a user sees an ad (unit) and is then eventually added to that audience
+* segment. However, when you have no ads but still want to record an
+* impression for an audience segment, you can fire a pixel to do so.
+*
+* The `dfpAudience` service fires such pixels once the privacy state of the
+* `dfp` service is known, and not at all if it forbids personalization. Each
+* pixel is only fired once per session, no matter how often it is asked for.
+* The pixel is sent with `navigator.sendBeacon()` where available and as an
+* image request otherwise.
+*
+* @example <caption>Firing a pixel after a purchase.</caption>
+* dfpAudience.fire('1234567', {
+*   adUnit: '/path/to/my/unit',
+*   ppid: 'abc123',
+*   customParams: {product: ['shoes', 'socks']}
+* });
+*
+* @module dfp-audience
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-audience */ function(module) {
+  'use strict';
+
+  /**
+  * An error thrown for an invalid audience pixel.
+  * @private
+  */
+  class DFPAudienceError extends Error {}
+
+  /**
+  * The URL of the ad server for audience pixels.
+  * @type {string}
+  * @constant
+  * @private
+  */
+  const ACTIVITY_URL = 'https://pubads.g.doubleclick.net/activity';
+
+  /**
+  * Tests if the privacy state forbids audience pixels.
+  *
+  * Audience segments are a form of personalization, so no pixel is fired
+  * when ads must not be personalized or data processing is restricted.
+  *
+  * @param  {!Object} privacy The privacy state of the `dfp` service.
+  * @return {boolean} True if no pixel may be fired, else false.
+  * @private
+  */
+  function isRestricted(privacy) {
+    return privacy.nonPersonalizedAds ||
+           privacy.limitedAds ||
+           privacy.restrictDataProcessing ||
+           privacy.underAgeOfConsent ||
+           privacy.childDirectedTreatment === true;
+  }
+
+  /**
+  * Serializes the parameters of a pixel.
+  *
+  * The parameters of activity URLs are separated by semicolons. Names and
+  * values are encoded individually, so that any separators within them
+  * survive. Parameters with a `null`, `undefined` or empty value are left
+  * out and list values are joined by commas.
+  *
+  * @param  {!Object} parameters The parameters.
+  * @return {string} The parameters, each preceded by a semicolon.
+  * @private
+  */
+  function serialize(parameters) {
+    return Object.keys(parameters)
+      .filter(name => {
+        const value = parameters[name];
+        return value !== null && value !== undefined && value !== '';
+      })
+      .map(name => {
+        const value = parameters[name];
+        const values = Array.isArray(value) ? value : [value];
+        const encoded = values.map(each => encodeURIComponent(each));
+        return `;${encodeURIComponent(name)}=${encoded.join(',')}`;
+      })
+      .join('');
+  }
+
+  /**
+  * The factory for the `dfpAudience` service.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @param {Function} dfp The `dfp` service.
+  * @return {!Object} The `dfpAudience` service.
+  */
+  function dfpAudienceFactory($window, dfp) {
+    /**
+    * The pixels fired (or about to be) in this session, by their parameters.
+    * @type {!Object<string, boolean>}
+    */
+    const fired = {};
+
+    /**
+    * Returns the parameters that pass the privacy state on to the ad server.
+    * @param  {!Object} privacy The privacy state of the `dfp` service.
+    * @return {!Object} The privacy parameters.
+    */
+    function privacyParameters(privacy) {
+      const parameters = {};
+
+      /* eslint-disable dot-notation */
+      if (privacy.gdprApplies !== null) {
+        parameters['gdpr'] = privacy.gdprApplies ? 1 : 0;
+      }
+
+      parameters['gdpr_consent'] = privacy.tcString;
+      parameters['us_privacy'] = privacy.uspString;
+
+      if (privacy.gppString) {
+        parameters['gpp'] = privacy.gppString;
+        parameters['gpp_sid'] = privacy.gppSectionIds;
+      }
+      /* eslint-enable dot-notation */
+
+      return parameters;
+    }
+
+    /**
+    * Sends a pixel, as a beacon if possible and else as an image request.
+    * @param {string} url The URL of the pixel.
+    */
+    function send(url) {
+      const navigator = $window.navigator;
+
+      if (typeof navigator.sendBeacon === 'function') {
+        // The beacon may be refused, e.g. when its queue is full
+        if (navigator.sendBeacon(url)) return;
+      }
+
+      const pixel = new $window.Image(1, 1);
+      pixel.src = url;
+    }
+
+    /**
+    * The `dfpAudience` service.
+    */
+    const dfpAudience = {};
+
+    /**
+    * Fires an audience pixel, once the privacy state is known.
+    *
+    * A pixel with the same segment and options as one fired before in this
+    * session is skipped, as is a pixel the privacy state forbids.
+    *
+    * @param  {string} segmentId The ID of the audience segment.
+    * @param  {Object=} options The options of the pixel.
+    * @param  {string=} options.adUnit The ad unit the impression counts for.
+    * @param  {string=} options.ppid The publisher provided ID of the user.
+    * @param  {Object=} options.customParams Further parameters, as an object
+    *                                       of `(key, value|[values])`.
+    * @return {boolean} True if the pixel will be fired, false if it is a
+    *                   repeated one.
+    * @throws {DFPAudienceError} If the segment ID is missing.
+    */
+    dfpAudience.fire = function(segmentId, options) {
+      if (!segmentId) {
+        throw new DFPAudienceError('Missing segment ID for audience pixel');
+      }
+
+      options = options || {};
+
+      /* eslint-disable quote-props */
+      const parameters = serialize(Object.assign({}, options.customParams, {
+        'dc_seg': segmentId,
+        'dc_iu': options.adUnit,
+        'ppid': options.ppid
+      }));
+      /* eslint-enable quote-props */
+
+      if (fired[parameters]) return false;
+      fired[parameters] = true;
+
+      dfp.whenPrivacyReady(privacy => {
+        if (isRestricted(privacy)) {
+          // The privacy state may yet change within the session
+          delete fired[parameters];
+          return;
+        }
+
+        const ord = Math.floor(Math.random() * 10000000000000);
+        const consent = serialize(privacyParameters(privacy));
+
+        send(`${ACTIVITY_URL};ord=${ord}${parameters}${consent}`);
+      });
+
+      return true;
+    };
+
+    return dfpAudience;
+  }
+
+  module.factory('dfpAudience', ['$window', 'dfp', dfpAudienceFactory]);
+
+// eslint-disable-next-line
+})(angularDfp);
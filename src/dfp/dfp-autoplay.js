@@ -0,0 +1,133 @@
+/**
+* @file Detects how a video may start playing.
+*
+* Browsers (in particular on mobile) block autoplay with sound, and often
+* muted autoplay as well, in which case a video only starts on a user
+* gesture. The `dfpAutoplay` service tells which of these applies to a
+* `<video>` tag, so that the ad request can declare it (through the `vpa`,
+* `vpmute` and `plcmt` parameters) and the ads are not left to fail silently.
+*
+* A video without an `autoplay` attribute is meant to be clicked to play, so
+* only the others are tested, by starting the video (with sound, unless
+* muted, and else muted). Where available, `navigator.getAutoplayPolicy()`
+* rules out the attempts that are bound to fail. A video that may only
+* autoplay muted is muted by the service.
+*
+* @example <caption>Detecting the playback of a video.</caption>
+* dfpAutoplay(element).then(playback => {
+*   // playback is one of 'sound', 'muted' or 'click'
+* });
+*
+* @module dfp-autoplay
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-autoplay */ function(module) {
+  'use strict';
+
+  /**
+  * The factory for the `dfpAutoplay` service.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @param {!angular.$q} $q The Angular `$q` service.
+  * @return {Function} The `dfpAutoplay` service.
+  */
+  function dfpAutoplayFactory($window, $q) {
+    /**
+    * Starts a video.
+    *
+    * Browsers whose `play()` returns no promise predate the autoplay
+    * policies, so the video is then assumed to play.
+    *
+    * @param  {!Element} element The `<video>` tag.
+    * @return {!angular.$q.Promise} A promise resolved once the video plays,
+    *                               or rejected if it may not.
+    */
+    function play(element) {
+      try {
+        return $q.resolve(element.play());
+      } catch (error) {
+        return $q.reject(error);
+      }
+    }
+
+    /**
+    * Detects the playback by starting the video, with sound if intended and
+    * else (or failing that) muted.
+    *
+    * @param  {!Element} element The `<video>` tag.
+    * @param  {boolean} muted Whether the video is muted already.
+    * @return {!angular.$q.Promise<string>} A promise for the playback.
+    */
+    function probe(element, muted) {
+      const unmuted = muted ? $q.reject() : play(element);
+
+      return unmuted.then(() => 'sound', () => {
+        element.muted = true;
+
+        return play(element).then(() => 'muted', () => {
+          element.muted = muted;
+          return 'click';
+        });
+      });
+    }
+
+    /**
+    * Detects how a video may start playing.
+    *
+    * The video is started as its `autoplay` attribute intends, if allowed.
+    *
+    * @param  {!Element} element The `<video>` tag.
+    * @return {!angular.$q.Promise<string>} A promise for the playback:
+    *         'sound' for autoplay with sound, 'muted' for muted autoplay and
+    *         'click' if the video only starts on a user gesture.
+    */
+    function dfpAutoplay(element) {
+      if (!element.hasAttribute('autoplay')) return $q.resolve('click');
+
+      // The attribute only sets the initial state of the property
+      const muted = element.muted || element.hasAttribute('muted');
+
+      const navigator = $window.navigator;
+
+      if (typeof navigator.getAutoplayPolicy !== 'function') {
+        return probe(element, muted);
+      }
+
+      // The policy spares the attempts that are bound to fail
+      const policy = navigator.getAutoplayPolicy(element);
+
+      if (policy === 'disallowed') return $q.resolve('click');
+
+      if (policy === 'allowed-muted' && !muted) {
+        return probe(element, true).then(playback => {
+          if (playback === 'click') element.muted = false;
+          return playback;
+        });
+      }
+
+      return probe(element, muted);
+    }
+
+    return dfpAutoplay;
+  }
+
+  module.factory('dfpAutoplay', ['$window', '$q', dfpAutoplayFactory]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -0,0 +1,132 @@
+/**
+* @file A registry of companion slots of video players.
+*
+* A `dfp-ad` with a `companion-for` attribute is a companion slot of the video
+* player with that element ID. It registers its sizes with the `dfpCompanions`
+* service, so that `dfp-video` can request video ads along with companions of
+* those sizes. The companion creatives are then served together with the video
+* ad (as a roadblock) and rendered into the slots by the IMA SDK.
+*
+* @example <caption>Reading the companion sizes of a player.</caption>
+* dfpCompanions.getSizes('myVideo'); // e.g. ['300x250', '728x90']
+*
+* @module dfp-companions
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-companions */ function(module) {
+  'use strict';
+
+  /**
+  * The factory for the `dfpCompanions` service.
+  *
+  * @private
+  * @return {!Object} The `dfpCompanions` service.
+  */
+  function dfpCompanionsFactory() {
+    /**
+    * The sizes of the companion slots, keyed by video ID and slot ID.
+    * @type {!Object<string, !Object<string, !Array>>}
+    */
+    const companions = {};
+
+    /**
+    * Formats a `[width, height]` size as used by video ad tags.
+    * @param  {!Array<number>} size The size.
+    * @return {string} The size as `<width>x<height>`.
+    */
+    function formatSize(size) {
+      return `${size[0]}x${size[1]}`;
+    }
+
+    /**
+    * The `dfpCompanions` service.
+    */
+    const dfpCompanions = {};
+
+    /**
+    * Registers a companion slot for a video player.
+    *
+    * @param  {string} videoId The element ID of the video player.
+    * @param  {string} id The element ID of the companion slot.
+    * @param  {!Array} sizes The sizes of the companion slot.
+    * @return {Function} A function to unregister the companion slot.
+    */
+    dfpCompanions.register = function(videoId, id, sizes) {
+      companions[videoId] = companions[videoId] || {};
+      companions[videoId][id] = sizes;
+
+      return function() {
+        if (!companions[videoId]) return;
+
+        delete companions[videoId][id];
+
+        if (Object.keys(companions[videoId]).length === 0) {
+          delete companions[videoId];
+        }
+      };
+    };
+
+    /**
+    * Tests if a video player has any companion slots.
+    * @param  {string} videoId The element ID of the video player.
+    * @return {boolean} True if there are companion slots, else false.
+    */
+    dfpCompanions.has = function(videoId) {
+      return companions.hasOwnProperty(videoId);
+    };
+
+    /**
+    * Returns the element IDs of the companion slots of a video player.
+    * @param  {string} videoId The element ID of the video player.
+    * @return {!Array<string>} The element IDs.
+    */
+    dfpCompanions.list = function(videoId) {
+      return Object.keys(companions[videoId] || {});
+    };
+
+    /**
+    * Returns the distinct companion sizes of a video player.
+    *
+    * Named sizes (such as 'fluid') can't be requested as companions and are
+    * left out.
+    *
+    * @param  {string} videoId The element ID of the video player.
+    * @return {!Array<string>} The sizes as `<width>x<height>` strings.
+    */
+    dfpCompanions.getSizes = function(videoId) {
+      const sizes = [];
+
+      dfpCompanions.list(videoId).forEach(id => {
+        companions[videoId][id].forEach(size => {
+          if (!Array.isArray(size)) return;
+
+          const formatted = formatSize(size);
+          if (sizes.indexOf(formatted) === -1) sizes.push(formatted);
+        });
+      });
+
+      return sizes;
+    };
+
+    return dfpCompanions;
+  }
+
+  module.factory('dfpCompanions', [dfpCompanionsFactory]);
+
+// eslint-disable-next-line
+})(angularDfp);
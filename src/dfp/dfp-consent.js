@@ -0,0 +1,315 @@
+/**
+* @file Gates GPT loading and ad requests on IAB TCF v2 consent.
+*
+* When enabled, the `dfpConsent` service listens to the CMP via `__tcfapi` and
+* holds back the injection of the GPT library as well as every ad request made
+* through `dfpRefresh` until a TC string is available. Depending on the purpose
+* consents given, ads are then requested as limited ads (no consent for purpose
+* 1, storing and accessing information on a device) or non-personalized ads (no
+* consent for purposes 3 and 4, creating and using a personalized ads profile).
+* The `dfp` service applies these as GPT privacy settings. Whenever the user
+* changes their choices, the settings are re-applied and a
+* `dfp:consentChanged` event is broadcast on the `$rootScope`.
+*
+* @example <caption>Enabling consent gating.</caption>
+* angular.module('myApp', ['angularDfp'])
+*   .config(['dfpConsentProvider', dfpConsentProvider => {
+*     dfpConsentProvider.enabled = true;
+*     dfpConsentProvider.cmpTimeout = '5s';
+*   }]);
+*
+* @module dfp-consent
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-consent */ function(module) {
+  'use strict';
+
+  /**
+  * The provider for the `dfpConsent` service.
+  * @private
+  */
+  function dfpConsentProvider() {
+    /**
+    * Reference to the dfpConsentProvider.
+    * @type {Function}
+    */
+    const self = this;
+
+    /**
+    * Whether to wait for TCF v2 consent before loading GPT and requesting ads.
+    * @type {boolean}
+    */
+    self.enabled = false;
+
+    /**
+    * How long to wait for a CMP to answer (anything valid for
+    * `parseDuration`). If it elapses, ads are requested as limited,
+    * non-personalized ads. If null, the service waits indefinitely.
+    * @type {?number|string}
+    */
+    self.cmpTimeout = null;
+
+    /**
+    * The interval at which to check whether a CMP has become available.
+    * @type {number}
+    */
+    self.pollInterval = 100;
+
+    self.$get = [
+      '$rootScope',
+      '$window',
+      '$interval',
+      '$timeout',
+      '$log',
+      'parseDuration',
+      function($rootScope, $window, $interval, $timeout, $log, parseDuration) {
+        /**
+        * The TCF event statuses with which the TC data is final.
+        * @type {!Array<string>}
+        * @constant
+        */
+        const FINAL_STATUSES = ['tcloaded', 'useractioncomplete'];
+
+        /**
+        * The current consent state, or null if not yet known.
+        * @type {?Object}
+        */
+        let state = null;
+
+        /**
+        * The tasks waiting for the consent state.
+        * @type {!Array<Function>}
+        */
+        let queue = [];
+
+        /**
+        * The functions to call whenever the consent state changes.
+        * @type {!Array<Function>}
+        */
+        const listeners = [];
+
+        /**
+        * Whether we started listening to the CMP yet.
+        * @type {boolean}
+        */
+        let started = false;
+
+        /**
+        * The pending CMP timeout, if any.
+        * @type {?angular.$q.Promise}
+        */
+        let timeout = null;
+
+        /**
+        * The pending poll for the CMP, if any.
+        * @type {?angular.$q.Promise}
+        */
+        let poll = null;
+
+        /**
+        * Stops polling for the CMP.
+        */
+        function stopPolling() {
+          if (poll) {
+            $interval.cancel(poll);
+            poll = null;
+          }
+        }
+
+        /**
+        * Computes the consent state from TCF data.
+        * @param  {!Object} tcData The TC data passed by the CMP.
+        * @return {!Object} The frozen consent state.
+        */
+        function computeState(tcData) {
+          const gdprApplies = tcData.gdprApplies !== false;
+          const consents = (tcData.purpose && tcData.purpose.consents) || {};
+
+          /**
+          * @param  {number} purpose The TCF purpose ID.
+          * @return {boolean} True if the purpose was consented to.
+          */
+          function hasConsent(purpose) {
+            return !gdprApplies || Boolean(consents[purpose]);
+          }
+
+          return Object.freeze({
+            gdprApplies,
+            tcString: tcData.tcString || null,
+            limitedAds: !hasConsent(1),
+            nonPersonalizedAds: !hasConsent(3) || !hasConsent(4)
+          });
+        }
+
+        /**
+        * Stores a new consent state, notifies listeners and releases tasks.
+        * @param {!Object} consent The new consent state.
+        */
+        function update(consent) {
+          const previous = state;
+          state = consent;
+
+          if (timeout) {
+            $timeout.cancel(timeout);
+            timeout = null;
+          }
+
+          // Once the state is settled, a CMP loading late is not waited for
+          stopPolling();
+
+          // Notify before flushing, so that queued requests respect it
+          listeners.forEach(listener => listener(consent));
+
+          const tasks = queue;
+          queue = [];
+          tasks.forEach(task => task(consent));
+
+          if (previous) {
+            $rootScope.$evalAsync(() => {
+              $rootScope.$broadcast('dfp:consentChanged', consent);
+            });
+          }
+        }
+
+        /**
+        * Handles TC data passed by the CMP.
+        * @param  {?Object} tcData The TC data.
+        * @param  {boolean} success Whether the CMP call succeeded.
+        */
+        function handleTCData(tcData, success) {
+          if (!success || !tcData) return;
+
+          // Wait until the user made a choice (or the CMP has a stored one)
+          const final = FINAL_STATUSES.indexOf(tcData.eventStatus) !== -1;
+          if (tcData.gdprApplies !== false && !final) return;
+
+          update(computeState(tcData));
+        }
+
+        /**
+        * Registers our listener with the CMP.
+        */
+        function listen() {
+          $window.__tcfapi('addEventListener', 2, handleTCData);
+        }
+
+        /**
+        * Starts listening to the CMP, polling for it if not yet available.
+        */
+        function start() {
+          started = true;
+
+          if (self.cmpTimeout !== null) {
+            timeout = $timeout(() => {
+              $log.warn('No consent received from the CMP in time, ' +
+                        'requesting limited ads.');
+              timeout = null;
+              stopPolling();
+              update(computeState({gdprApplies: true}));
+            }, parseDuration(self.cmpTimeout), false);
+          }
+
+          if (typeof $window.__tcfapi === 'function') {
+            listen();
+            return;
+          }
+
+          poll = $interval(() => {
+            if (typeof $window.__tcfapi === 'function') {
+              stopPolling();
+              listen();
+            }
+          }, self.pollInterval, 0, false);
+        }
+
+        /**
+        * The `dfpConsent` service.
+        *
+        * Calls the task with the consent state once it is available. If
+        * consent gating is disabled or the state is known already, the task
+        * is called synchronously.
+        *
+        * @param {Function} task The function to call with the consent state
+        *                        (null if gating is disabled).
+        */
+        function dfpConsent(task) {
+          if (!self.enabled) {
+            task(null);
+            return;
+          }
+
+          if (state) {
+            task(state);
+            return;
+          }
+
+          queue.push(task);
+
+          if (!started) start();
+        }
+
+        /**
+        * Registers a function to call whenever the consent state changes.
+        *
+        * Listeners are called synchronously, before any task waiting for the
+        * consent state is released.
+        *
+        * @param  {Function} listener The function to call with the state.
+        * @return {Function} A function to deregister the listener.
+        */
+        dfpConsent.onChange = function(listener) {
+          listeners.push(listener);
+
+          return function() {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+          };
+        };
+
+        /**
+        * Tests if consent gating is enabled.
+        * @return {boolean} True if gating is enabled, else false.
+        */
+        dfpConsent.isEnabled = function() {
+          return self.enabled;
+        };
+
+        /**
+        * Tests if the consent state is known (or gating disabled).
+        * @return {boolean} True if ads may be requested, else false.
+        */
+        dfpConsent.isReady = function() {
+          return !self.enabled || state !== null;
+        };
+
+        /**
+        * Returns the current consent state.
+        * @return {?Object} The frozen consent state, or null if not known.
+        */
+        dfpConsent.getState = function() {
+          return state;
+        };
+
+        return dfpConsent;
+      }];
+  }
+
+  module.provider('dfpConsent', [dfpConsentProvider]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -0,0 +1,197 @@
+/**
+* @file Bridges GPT's slot events into the Angular world.
+*
+* GPT notifies listeners registered via `googletag.pubads().addEventListener`
+* of the lifecycle of every ad slot (requested, response received, rendered,
+* loaded, viewable etc.). These callbacks run outside of Angular. The
+* `dfpEvents` service installs a single listener per event type, re-broadcasts
+* every event on the `$rootScope` as `dfp:<eventName>` and dispatches it to any
+* per-slot handlers, all inside a digest.
+*
+* @example <caption>Listening to slot events.</caption>
+* $scope.$on('dfp:slotRenderEnded', (angularEvent, event) => {
+*   console.log(event.slot.getSlotElementId(), event.isEmpty);
+* });
+*
+* const deregister = dfpEvents.on(slot, 'impressionViewable', event => {
+*   console.log('Viewable!');
+* });
+*
+* @module dfp-events
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line no-use-before-define, no-var
+var googletag = googletag || {};
+googletag.cmd = googletag.cmd || [];
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-events */ function(module) {
+  'use strict';
+
+  /**
+  * An error thrown by the `dfpEvents` service.
+  * @private
+  */
+  class DFPEventError extends Error {}
+
+  /**
+  * The factory for the `dfpEvents` service.
+  *
+  * @private
+  * @param {!angular.Scope} $rootScope The Angular `$rootScope` service.
+  * @return {Function} The `dfpEvents` service.
+  */
+  function dfpEventsFactory($rootScope) {
+    /**
+    * The GPT events bridged by the service.
+    * @type {!Array<string>}
+    * @constant
+    */
+    const EVENTS = Object.freeze([
+      'slotRequested',
+      'slotResponseReceived',
+      'slotRenderEnded',
+      'slotOnload',
+      'impressionViewable',
+      'slotVisibilityChanged'
+    ]);
+
+    /**
+    * The per-slot handlers, keyed by slot element ID, then by event name.
+    * @type {!Object<string, !Object<string, !Array<Function>>>}
+    */
+    const handlers = {};
+
+    /**
+    * Whether the pubads listeners were installed already.
+    * @type {boolean}
+    */
+    let listening = false;
+
+    /**
+    * Returns the element ID for a slot or ID.
+    * @param  {!googletag.Slot|string} slot A slot or its element ID.
+    * @return {string} The element ID.
+    */
+    function idOf(slot) {
+      return typeof slot === 'string' ? slot : slot.getSlotElementId();
+    }
+
+    /**
+    * Ensures that the event name is one bridged by the service.
+    * @param  {string} eventName The name of the event.
+    * @throws {DFPEventError} If the event name is not known.
+    */
+    function ensureValidEvent(eventName) {
+      if (EVENTS.indexOf(eventName) === -1) {
+        throw new DFPEventError(`Invalid slot event '${eventName}'`);
+      }
+    }
+
+    /**
+    * Broadcasts and dispatches a GPT event inside a digest.
+    * @param  {string} eventName The name of the event.
+    * @param  {!Object} event The GPT event object.
+    */
+    function dispatch(eventName, event) {
+      $rootScope.$evalAsync(() => {
+        $rootScope.$broadcast(`dfp:${eventName}`, event);
+
+        const slotHandlers = handlers[idOf(event.slot)];
+        if (!slotHandlers || !slotHandlers[eventName]) return;
+
+        // Copy, since handlers may deregister themselves
+        slotHandlers[eventName].slice().forEach(handler => handler(event));
+      });
+    }
+
+    /**
+    * The `dfpEvents` service.
+    *
+    * Installs the bridging listeners on the pubads service. This should be
+    * called from within the GPT command queue and is idempotent.
+    *
+    * @param {!googletag.PubAdsService} pubads The googletag pubads service.
+    */
+    function dfpEvents(pubads) {
+      if (listening) return;
+
+      EVENTS.forEach(eventName => {
+        pubads.addEventListener(eventName, event => {
+          dispatch(eventName, event);
+        });
+      });
+
+      listening = true;
+    }
+
+    /**
+    * The event names bridged by the service.
+    * @type {!Array<string>}
+    */
+    dfpEvents.EVENTS = EVENTS;
+
+    /**
+    * Registers a handler for an event of a single slot.
+    *
+    * @param  {!googletag.Slot|string} slot The slot or its element ID.
+    * @param  {string} eventName The name of the GPT event.
+    * @param  {Function} handler The function to call with the GPT event.
+    * @return {Function} A function to deregister the handler.
+    * @throws {DFPEventError} If the event name is not known.
+    */
+    dfpEvents.on = function(slot, eventName, handler) {
+      ensureValidEvent(eventName);
+
+      const id = idOf(slot);
+      handlers[id] = handlers[id] || {};
+      handlers[id][eventName] = handlers[id][eventName] || [];
+      handlers[id][eventName].push(handler);
+
+      return function() {
+        if (!(id in handlers) || !handlers[id][eventName]) return;
+
+        const index = handlers[id][eventName].indexOf(handler);
+        if (index !== -1) {
+          handlers[id][eventName].splice(index, 1);
+        }
+      };
+    };
+
+    /**
+    * Removes all handlers registered for a slot.
+    * @param {!googletag.Slot|string} slot The slot or its element ID.
+    */
+    dfpEvents.off = function(slot) {
+      delete handlers[idOf(slot)];
+    };
+
+    /**
+    * Tests if the pubads listeners were installed.
+    * @return {boolean} True if the service is listening, else false.
+    */
+    dfpEvents.isListening = function() {
+      return listening;
+    };
+
+    return dfpEvents;
+  }
+
+  module.factory('dfpEvents', ['$rootScope', dfpEventsFactory]);
+
+// eslint-disable-next-line
+})(angularDfp);
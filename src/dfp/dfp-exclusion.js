@@ -2,7 +2,7 @@
 * @file Defines a value for a category exclusion
 *
 * This directive allows specifying a category exclusion label, such that ads
-* from that category exclusion will not show in this slot. This ensures, for
+* from that category exclusion will not show in this slot (or video). This ensures, for
 * example, that airline ads don't show next to articles of an airplane
 * accident.
 *
@@ -43,19 +43,35 @@
   * @param {Object} scope The angular scope.
   * @param {Object} element The HTML element on which the directive is defined.
   * @param {Object} attributes The attributes of the element.
-  * @param {Object} ad The parent `dfp-ad` controller.
+  * @param {Array<Object>} parents The possible parent controllers.
+  * @param {Function} DFPMissingParentError The `DFPMissingParentError` service.
   */
-  function dfpExclusionDirective(scope, element, attributes, ad) {
-    ad.addExclusion(element.html());
+  function dfpExclusionDirective(scope,
+                                 element,
+                                 attributes,
+                                 parents,
+                                 DFPMissingParentError) {
+    const parent = parents[0] || parents[1];
+
+    if (!parent) {
+      throw new DFPMissingParentError('dfp-exclusion', 'dfp-ad', 'dfp-video');
+    }
+
+    parent.addExclusion(element.html());
   }
 
-  module.directive('dfpExclusion', [function() {
-    return {
-      restrict: 'E',
-      require: '^^dfpAd',
-      link: dfpExclusionDirective
-    };
-  }]);
+  module.directive('dfpExclusion', [
+    'DFPMissingParentError',
+    function(DFPMissingParentError) {
+      return {
+        restrict: 'E',
+        require: ['?^^dfpAd', '?^^dfpVideo'],
+        link: function(...args) {
+          args = args.slice(0, 4).concat(DFPMissingParentError);
+          dfpExclusionDirective.apply(null, args);
+        }
+      };
+    }]);
 
 // eslint-disable-next-line
 })(angularDfp);
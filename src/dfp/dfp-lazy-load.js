@@ -0,0 +1,159 @@
+/**
+* @file Defers work until an element approaches the viewport.
+*
+* The `dfpLazyLoad` service is used by the `dfp-ad` directive to postpone the
+* definition, display and first refresh of an ad slot until its container is
+* (nearly) visible. It uses an `IntersectionObserver` where available and falls
+* back to scroll and resize listeners otherwise.
+*
+* @example <caption>Lazily loading a slot 300 pixels before it is visible.</caption>
+* <dfp-ad ad-unit="/path/to/my/ad-unit" lazy-load="300px">
+*   <dfp-size width="300" height="250"></dfp-size>
+* </dfp-ad>
+*
+* @module dfp-lazy-load
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-lazy-load */ function(module) {
+  'use strict';
+
+  /**
+  * The factory for the `dfpLazyLoad` service.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @return {Function} The `dfpLazyLoad` service.
+  */
+  function dfpLazyLoadFactory($window) {
+    /**
+    * Converts the first component of a root margin into pixels.
+    *
+    * Only used by the fallback, since the `IntersectionObserver` understands
+    * root margins natively. Percentages are relative to the viewport height.
+    *
+    * @param  {string} margin A CSS margin string, such as '200px' or '50%'.
+    * @return {number} The margin, in pixels.
+    */
+    function marginToPixels(margin) {
+      const first = margin.trim().split(/\s+/)[0];
+      const value = parseFloat(first) || 0;
+
+      if (/%$/.test(first)) {
+        return $window.innerHeight * value / 100;
+      }
+
+      return value;
+    }
+
+    /**
+    * Observes an element using an `IntersectionObserver`.
+    * @param  {!Element} element The element to observe.
+    * @param  {string} margin The root margin.
+    * @param  {Function} callback The function to call once near the viewport.
+    * @return {Function} A function to stop observing.
+    */
+    function observe(element, margin, callback) {
+      const observer = new $window.IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          observer.disconnect();
+          callback();
+        }
+      }, {rootMargin: margin});
+
+      observer.observe(element);
+
+      return function() {
+        observer.disconnect();
+      };
+    }
+
+    /**
+    * Polls the element position on scroll and resize events.
+    * @param  {!Element} element The element to observe.
+    * @param  {string} margin The root margin.
+    * @param  {Function} callback The function to call once near the viewport.
+    * @return {Function} A function to stop observing.
+    */
+    function poll(element, margin, callback) {
+      const pixels = marginToPixels(margin);
+
+      /**
+      * Removes the event listeners.
+      */
+      function stop() {
+        $window.removeEventListener('scroll', check, true);
+        $window.removeEventListener('resize', check);
+      }
+
+      /**
+      * Checks if the element is near the viewport.
+      */
+      function check() {
+        const rect = element.getBoundingClientRect();
+        const near = rect.top - pixels < $window.innerHeight &&
+                     rect.bottom + pixels > 0;
+
+        if (near) {
+          stop();
+          callback();
+        }
+      }
+
+      $window.addEventListener('scroll', check, true);
+      $window.addEventListener('resize', check);
+
+      // The element may well be in view already
+      check();
+
+      return stop;
+    }
+
+    /**
+    * The `dfpLazyLoad` service.
+    *
+    * Calls the callback (once) as soon as the element is within the given
+    * margin of the viewport.
+    *
+    * @param  {!Element} element The element to observe.
+    * @param  {string} margin The root margin, e.g. '200px'.
+    * @param  {Function} callback The function to call once near the viewport.
+    * @return {Function} A function to cancel the observation.
+    */
+    function dfpLazyLoad(element, margin, callback) {
+      if (dfpLazyLoad.isSupported()) {
+        return observe(element, margin, callback);
+      }
+
+      return poll(element, margin, callback);
+    }
+
+    /**
+    * Tests if the browser supports the `IntersectionObserver`.
+    * @return {boolean} True if the observer is available, else false.
+    */
+    dfpLazyLoad.isSupported = function() {
+      return 'IntersectionObserver' in $window;
+    };
+
+    return dfpLazyLoad;
+  }
+
+  module.factory('dfpLazyLoad', ['$window', dfpLazyLoadFactory]);
+
+// eslint-disable-next-line
+})(angularDfp);
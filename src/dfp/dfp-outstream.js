@@ -0,0 +1,342 @@
+/**
+* @file Serves outstream video ads, i.e. video ads without video content.
+*
+* The `dfp-outstream` directive creates its own muted player within its
+* element, e.g. between the paragraphs of an article, and requests a video
+* ad for it from an ad unit and nested `dfp-size` and `dfp-targeting` tags
+* (built by the `dfpVideoTag` service). The ad is only requested once the
+* player comes into view and only plays while at least half of the player is
+* in view. Once the ad ended, or if no ad was returned, the directive
+* collapses its element and emits `dfp:outstreamCollapsed`.
+*
+* @example <caption>An outstream video ad within an article.</caption>
+* <p>...</p>
+* <dfp-outstream ad-unit="/path/to/my/outstream-unit"
+*                on-collapse="vm.adEnded()">
+*   <dfp-size width="640" height="360"></dfp-size>
+*   <dfp-targeting key="section" value="news"></dfp-targeting>
+* </dfp-outstream>
+* <p>...</p>
+*
+* @module dfp-outstream
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-outstream */ function(module) {
+  'use strict';
+
+  /**
+  * The fraction of the player that must be visible for the ad to play.
+  * @type {number}
+  * @constant
+  * @private
+  */
+  const IN_VIEW_RATIO = 0.5;
+
+  /**
+  * The controller for the `dfp-outstream` directive.
+  * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
+  * @private
+  */
+  function dfpOutstreamController(DFPIncompleteError) {
+    /**
+    * The player sizes requested.
+    * @type {Array}
+    */
+    const sizes = [];
+
+    /**
+    * Any key/value targeting objects.
+    * @type {Array}
+    */
+    const targetings = [];
+
+    /* eslint-disable dot-notation */
+    /**
+    * Tests if the state of the directive is valid and complete.
+    * @throws {DFPIncompleteError} If the ad definition is not complete.
+    */
+    this.checkValid = function() {
+      if (!this['adUnit']) {
+        throw new DFPIncompleteError('dfp-outstream', 'ad-unit', true);
+      }
+
+      if (sizes.length === 0) {
+        throw new DFPIncompleteError('dfp-outstream', 'dfp-size');
+      }
+    };
+
+    /**
+    * Returns the public state of the controller for use by the directive.
+    * @return {Object} An object of all properties the directive will
+    *                  need to request the ad.
+    */
+    this.getState = function() {
+      this.checkValid();
+      return Object.freeze({
+        sizes,
+        targetings,
+        adUnit: this['adUnit'],
+        player: this['player'] || 'ima',
+        onCollapse: this['onCollapse']
+      });
+    };
+    /* eslint-enable dot-notation */
+
+    /**
+    * Registers a player size. The first size determines the dimensions of
+    * the player.
+    * @param {Array|string} size A [width, height] array.
+    */
+    this.addSize = function(size) {
+      sizes.push(size);
+    };
+
+    /**
+    * Registers a targeting object for the ad.
+    * @param {Object} targeting A `{key, values}` object.
+    */
+    this.addTargeting = function(targeting) {
+      targetings.push(targeting);
+    };
+
+    /**
+    * Replaces a registered targeting object. The change only applies if the
+    * ad was not requested yet.
+    *
+    * @param {!Object} previous The targeting object registered so far.
+    * @param {!Object} targeting The new `{key, values}` targeting object.
+    */
+    this.updateTargeting = function(previous, targeting) {
+      const index = targetings.indexOf(previous);
+      console.assert(index !== -1);
+      targetings[index] = targeting;
+    };
+  }
+
+  /**
+  * The `dfp-outstream` directive.
+  *
+  * @private
+  * @param {Object} scope The angular scope.
+  * @param {Object} element The HTML element on which the directive is defined.
+  * @param {Object} attributes The attributes of the element.
+  * @param {Object} controller The `dfpOutstreamController` object.
+  * @param {Object} $injector The Angular '$injector' service.
+  */
+  function dfpOutstreamDirective(scope, element, attributes, controller,
+                                 $injector) {
+    const $window = $injector.get('$window');
+    const dfp = $injector.get('dfp');
+    const dfpIDGenerator = $injector.get('dfpIDGenerator');
+    const dfpVideo = $injector.get('dfpVideo');
+    const dfpVideoTag = $injector.get('dfpVideoTag');
+
+    const outstream = controller.getState();
+
+    element = element[0];
+
+    // Generate an ID or check for uniqueness of an existing one
+    dfpIDGenerator(element);
+
+    const size = outstream.sizes[0];
+
+    // The player (without content) and its position for the ad container
+    const video = element.ownerDocument.createElement('video');
+    video.id = `${element.id}-player`;
+    video.muted = true;
+    video.setAttribute('muted', '');
+    video.setAttribute('playsinline', '');
+    video.width = size[0];
+    video.height = size[1];
+
+    element.style.position = 'relative';
+    element.style.display = 'block';
+    element.appendChild(video);
+
+    let player = null;
+    let requested = false;
+    let started = false;
+    let inView = false;
+    let collapsed = false;
+    let stopWatching = () => {};
+
+    /**
+    * Collapses the element once the ad ended or failed.
+    */
+    function collapse() {
+      if (collapsed) return;
+      collapsed = true;
+
+      stopWatching();
+      if (player && typeof player.destroy === 'function') player.destroy();
+
+      element.style.display = 'none';
+
+      scope.$evalAsync(() => {
+        if (outstream.onCollapse) outstream.onCollapse();
+        scope.$emit('dfp:outstreamCollapsed', {id: element.id});
+      });
+    }
+
+    /**
+    * Pauses the ad, if the player adapter supports it.
+    */
+    function pauseAd() {
+      if (typeof player.pause === 'function') player.pause();
+    }
+
+    /**
+    * Resumes the ad, if the player adapter supports it.
+    */
+    function resumeAd() {
+      if (typeof player.resume === 'function') player.resume();
+    }
+
+    /**
+    * Handles the lifecycle events of the player adapter.
+    * @param {string} type The type of the event.
+    */
+    function handleEvent(type) {
+      if (type === 'adStart') {
+        started = true;
+
+        // The ad may have loaded just as the player left the viewport
+        if (!inView) pauseAd();
+      } else if (type === 'adError' || type === 'contentResume') {
+        // Without content, resuming it means all ads are done
+        collapse();
+      }
+    }
+
+    /**
+    * Requests the ad, once the consent and privacy signals are known.
+    */
+    function requestAd() {
+      requested = true;
+
+      dfp.whenPrivacyReady(privacy => {
+        if (collapsed) return;
+
+        player.requestAds(dfpVideoTag({
+          adUnit: outstream.adUnit,
+          sizes: outstream.sizes,
+          targeting: outstream.targetings,
+          muted: true,
+          // Muted autoplay without content
+          autoplay: true,
+          placement: 2,
+          privacy
+        }));
+      });
+    }
+
+    /**
+    * Plays the ad only while the player is in view.
+    * @param {boolean} visible Whether the player is in view now.
+    */
+    function handleVisibility(visible) {
+      if (collapsed || visible === inView) return;
+      inView = visible;
+
+      if (inView && !requested) {
+        requestAd();
+      } else if (started) {
+        if (inView) {
+          resumeAd();
+        } else {
+          pauseAd();
+        }
+      }
+    }
+
+    /**
+    * Watches whether at least half of the player is in view.
+    * @return {Function} A function to stop watching.
+    */
+    function watchVisibility() {
+      if ('IntersectionObserver' in $window) {
+        const observer = new $window.IntersectionObserver(entries => {
+          entries.forEach(entry => {
+            handleVisibility(entry.intersectionRatio >= IN_VIEW_RATIO);
+          });
+        }, {threshold: [0, IN_VIEW_RATIO, 1]});
+
+        observer.observe(video);
+
+        return () => observer.disconnect();
+      }
+
+      /**
+      * Measures the visible fraction of the player.
+      */
+      function check() {
+        const rect = video.getBoundingClientRect();
+        const height = rect.bottom - rect.top;
+        const top = Math.max(rect.top, 0);
+        const bottom = Math.min(rect.bottom, $window.innerHeight);
+        const ratio = height > 0 ? Math.max(bottom - top, 0) / height : 0;
+
+        handleVisibility(ratio >= IN_VIEW_RATIO);
+      }
+
+      $window.addEventListener('scroll', check, true);
+      $window.addEventListener('resize', check);
+
+      // The player may well be in view already
+      check();
+
+      return () => {
+        $window.removeEventListener('scroll', check, true);
+        $window.removeEventListener('resize', check);
+      };
+    }
+
+    player = dfpVideo.getAdapter(outstream.player).create(video, handleEvent);
+    stopWatching = watchVisibility();
+
+    scope.$on('$destroy', () => {
+      // A collapsed player is torn down already
+      if (collapsed) return;
+      collapsed = true;
+
+      stopWatching();
+      if (typeof player.destroy === 'function') player.destroy();
+    });
+  }
+
+  module.directive('dfpOutstream', ['$injector', function($injector) {
+    return {
+      restrict: 'AE',
+      controller: ['DFPIncompleteError', dfpOutstreamController],
+      controllerAs: 'controller',
+      bindToController: true,
+      link: function(...args) {
+        dfpOutstreamDirective.apply(null, args.slice(0, 4).concat($injector));
+      },
+      /* eslint-disable quote-props */
+      scope: {
+        'adUnit': '@',
+        'player': '@',
+        'onCollapse': '&?'
+      }
+      /* eslint-enable quote-props */
+    };
+  }]);
+
+// eslint-disable-next-line
+})(angularDfp);
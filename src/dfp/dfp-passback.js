@@ -0,0 +1,234 @@
+/**
+* @file Displays a passback tag of a third-party partner.
+*
+* When a partner cannot fill an impression, they pass it back to us with a
+* passback tag. The `dfp-passback` directive defines and displays such a slot
+* from nested `dfp-size` and `dfp-targeting` tags. Since passbacks are usually
+* rendered inside the partner's iframe, where the Angular app runs standalone,
+* the directive initializes the `dfp` service (loading GPT) itself if the app
+* did not do so already.
+*
+* @example <caption>A passback tag.</caption>
+* <dfp-passback ad-unit="/path/to/my/passback-unit">
+*   <dfp-size width="300" height="250"></dfp-size>
+*   <dfp-targeting key="partner" value="acme"></dfp-targeting>
+* </dfp-passback>
+*
+* @module dfp-passback
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line no-use-before-define, no-var
+var googletag = googletag || {};
+googletag.cmd = googletag.cmd || [];
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-passback */ function(module) {
+  'use strict';
+
+  /**
+  * The controller for the `dfp-passback` directive.
+  * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
+  * @private
+  */
+  function dfpPassbackController(DFPIncompleteError) {
+    /**
+    * The sizes for the passback slot.
+    * @type {Array}
+    */
+    const sizes = [];
+
+    /**
+    * Any key/value targeting objects.
+    * @type {Array}
+    */
+    let targetings = [];
+
+    /**
+    * Tests if the state of the directive is valid and complete.
+    * @throws {DFPIncompleteError} If the passback definition is not complete.
+    */
+    this.checkValid = function() {
+      if (sizes.length === 0) {
+        throw new DFPIncompleteError('dfp-passback', 'dfp-size');
+      }
+      // eslint-disable-next-line dot-notation
+      if (!this['adUnit']) {
+        throw new DFPIncompleteError('dfp-passback', 'ad-unit', true);
+      }
+    };
+
+    /* eslint-disable dot-notation */
+    /**
+    * Returns the public state of the controller for use by the directive.
+    * @return {Object} An object of all properties the directive will
+    *                  need to create the passback slot.
+    */
+    this.getState = function() {
+      this.checkValid();
+      return Object.freeze({
+        sizes,
+        targetings,
+        adUnit: this['adUnit']
+      });
+    };
+    /* eslint-enable dot-notation */
+
+    /**
+    * Registers a size for the passback slot.
+    * @param {Array|string} size A [width, height] array or a named size.
+    */
+    this.addSize = function(size) {
+      sizes.push(size);
+    };
+
+    /**
+    * Registers a targeting object for the passback slot.
+    * @param {Object} targeting A `{key, values}` object.
+    */
+    this.addTargeting = function(targeting) {
+      targetings.push(targeting);
+    };
+
+    /**
+    * Replaces a targeting object registered before.
+    *
+    * Passbacks are displayed only once, so changes only take effect if the
+    * slot was not displayed yet.
+    *
+    * @param {Object} previous The targeting object added before.
+    * @param {Object} targeting The new `{key, values}` targeting object.
+    */
+    this.updateTargeting = function(previous, targeting) {
+      targetings = targetings.map(each => {
+        return each === previous ? targeting : each;
+      });
+    };
+  }
+
+  /**
+  * The `dfp-passback` directive.
+  *
+  * @private
+  * @param {Object} scope      The Angular element scope.
+  * @param {Object} element    The jQuery/jQlite element of the directive.
+  * @param {Object} attributes The attributes defined on the element.
+  * @param {Object} controller The `dfpPassbackController` object.
+  * @param {Function} $injector {@link http://docs.angularjs.org/api/ng.$injector}
+  */
+  function dfpPassbackDirective(scope, element, attributes, controller,
+                                $injector) {
+    const dfp = $injector.get('dfp');
+    const dfpIDGenerator = $injector.get('dfpIDGenerator');
+    const dfpRefresh = $injector.get('dfpRefresh');
+
+    element = element[0];
+
+    // Generate an ID or check for uniqueness of an existing one
+    dfpIDGenerator(element);
+
+    /**
+    * The passback slot, once defined.
+    * @type {?googletag.Slot}
+    */
+    let slot = null;
+
+    /**
+    * Whether the directive was destroyed before the slot was defined.
+    * @type {boolean}
+    */
+    let destroyed = false;
+
+    /**
+    * Displays the passback via the legacy `definePassback` API.
+    * @param {!Object} passback The state of the controller.
+    */
+    function displayLegacyPassback(passback) {
+      const passbackSlot = googletag.pubads().definePassback(
+        passback.adUnit,
+        passback.sizes
+      );
+
+      passback.targetings.forEach(targeting => {
+        if (targeting.values.length === 0) return;
+        passbackSlot.setTargeting(targeting.key, targeting.values);
+      });
+
+      passbackSlot.display();
+    }
+
+    /**
+    * Defines and displays the passback slot.
+    */
+    function displayPassback() {
+      if (destroyed) return;
+
+      const passback = controller.getState();
+      const pubads = googletag.pubads();
+
+      // Older versions of GPT have a dedicated API for passbacks
+      if (typeof pubads.definePassback === 'function') {
+        displayLegacyPassback(passback);
+        return;
+      }
+
+      slot = googletag.defineSlot(passback.adUnit, passback.sizes, element.id);
+
+      passback.targetings.forEach(targeting => {
+        if (targeting.values.length === 0) return;
+        slot.setTargeting(targeting.key, targeting.values);
+      });
+
+      slot.addService(pubads);
+
+      // The initial load is disabled, so display() only registers the
+      // slot and the ad is actually fetched via refresh()
+      googletag.display(element.id);
+      dfpRefresh(slot);
+    }
+
+    // Inside a partner's iframe, nothing may have loaded GPT yet
+    if (!dfp.isInitialized()) dfp();
+
+    dfp.then(displayPassback);
+
+    scope.$on('$destroy', () => {
+      destroyed = true;
+      if (slot === null) return;
+
+      dfpRefresh.teardownSlot(slot);
+      googletag.cmd.push(() => {
+        googletag.destroySlots([slot]);
+      });
+    });
+  }
+
+  module.directive('dfpPassback', ['$injector', function($injector) {
+    return {
+      restrict: 'AE',
+      controller: ['DFPIncompleteError', dfpPassbackController],
+      controllerAs: 'controller',
+      bindToController: true,
+      link: function(...args) {
+        dfpPassbackDirective.apply(null, args.slice(0, 4).concat($injector));
+      },
+      // eslint-disable-next-line quote-props
+      scope: {'adUnit': '@'}
+    };
+  }]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -0,0 +1,346 @@
+/**
+* @file Reads US Privacy and Global Privacy Platform signals.
+*
+* Apart from the IAB TCF (see `dfpConsent`), US properties must honour the US
+* Privacy string exposed by `__uspapi` and the Global Privacy Platform (GPP)
+* string exposed by `__gpp`. When enabled, the `dfpPrivacySignals` service
+* resolves both signals before the GPT library is injected and before any ad is
+* requested. If the user opted out of the sale or sharing of their data, or of
+* targeted advertising, the `dfp` service applies restricted data processing.
+*
+* @example <caption>Enabling the privacy signals.</caption>
+* angular.module('myApp', ['angularDfp'])
+*   .config(['dfpPrivacySignalsProvider', dfpPrivacySignalsProvider => {
+*     dfpPrivacySignalsProvider.enabled = true;
+*   }]);
+*
+* @module dfp-privacy-signals
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-privacy-signals */ function(module) {
+  'use strict';
+
+  /**
+  * The provider for the `dfpPrivacySignals` service.
+  * @private
+  */
+  function dfpPrivacySignalsProvider() {
+    /**
+    * Reference to the dfpPrivacySignalsProvider.
+    * @type {Function}
+    */
+    const self = this;
+
+    /**
+    * Whether to read the US Privacy and GPP signals.
+    * @type {boolean}
+    */
+    self.enabled = false;
+
+    /**
+    * How long to wait for each API to answer (anything valid for
+    * `parseDuration`). An API not answering in time counts as no signal.
+    * @type {number|string}
+    */
+    self.timeout = 500;
+
+    self.$get = [
+      '$rootScope',
+      '$window',
+      '$timeout',
+      'parseDuration',
+      function($rootScope, $window, $timeout, parseDuration) {
+        /**
+        * The GPP sections for US (national and state) privacy.
+        * @type {!Array<string>}
+        * @constant
+        */
+        const US_SECTIONS = Object.freeze([
+          'usnat', 'usca', 'usva', 'usco', 'usut', 'usct'
+        ]);
+
+        /**
+        * The fields of US GPP sections signaling an opt-out.
+        * @type {!Array<string>}
+        * @constant
+        */
+        const OPT_OUT_FIELDS = Object.freeze([
+          'SaleOptOut', 'SharingOptOut', 'TargetedAdvertisingOptOut'
+        ]);
+
+        /**
+        * The current US Privacy string, if any.
+        * @type {?string}
+        */
+        let uspString = null;
+
+        /**
+        * The current GPP ping data, if any.
+        * @type {?Object}
+        */
+        let gppData = null;
+
+        /**
+        * The current signal state, or null if not yet resolved.
+        * @type {?Object}
+        */
+        let state = null;
+
+        /**
+        * The tasks waiting for the signals.
+        * @type {!Array<Function>}
+        */
+        let queue = [];
+
+        /**
+        * The functions to call whenever the signals change.
+        * @type {!Array<Function>}
+        */
+        const listeners = [];
+
+        /**
+        * Whether we started reading the signals yet.
+        * @type {boolean}
+        */
+        let started = false;
+
+        /**
+        * Tests if a US Privacy string signals an opt-out of sale.
+        * @param  {?string} usp The US Privacy string, e.g. '1YYN'.
+        * @return {boolean} True if the user opted out, else false.
+        */
+        function uspOptOut(usp) {
+          return Boolean(usp) && usp.charAt(2).toUpperCase() === 'Y';
+        }
+
+        /**
+        * Tests if GPP ping data signals an opt-out in any US section.
+        * @param  {?Object} data The GPP ping data.
+        * @return {boolean} True if the user opted out, else false.
+        */
+        function gppOptOut(data) {
+          if (!data || !data.parsedSections) return false;
+
+          return Object.keys(data.parsedSections).some(name => {
+            // Sections may be split into sub-sections
+            const sections = [].concat(data.parsedSections[name]);
+
+            if (name === 'uspv1') {
+              return sections.some(section => section.OptOutSale === 'Y');
+            }
+
+            if (US_SECTIONS.indexOf(name) === -1) return false;
+
+            // A value of 1 means "opted out"
+            return sections.some(section => {
+              return OPT_OUT_FIELDS.some(field => section[field] === 1);
+            });
+          });
+        }
+
+        /**
+        * Computes the signal state from the current signals.
+        * @return {!Object} The frozen signal state.
+        */
+        function computeState() {
+          return Object.freeze({
+            uspString,
+            gppString: gppData ? gppData.gppString || null : null,
+            gppSectionIds: gppData ? gppData.applicableSections || [] : [],
+            optOut: uspOptOut(uspString) || gppOptOut(gppData)
+          });
+        }
+
+        /**
+        * Recomputes the state and notifies listeners if it changed.
+        */
+        function update() {
+          const previous = state;
+          state = computeState();
+
+          const changed = !previous ||
+                          previous.uspString !== state.uspString ||
+                          previous.gppString !== state.gppString;
+
+          if (changed) {
+            listeners.forEach(listener => listener(state));
+          }
+
+          if (previous && changed) {
+            $rootScope.$evalAsync(() => {
+              $rootScope.$broadcast('dfp:privacySignalsChanged', state);
+            });
+          }
+        }
+
+        /**
+        * Releases all tasks waiting for the signals.
+        */
+        function resolve() {
+          update();
+
+          const tasks = queue;
+          queue = [];
+          tasks.forEach(task => task(state));
+        }
+
+        /**
+        * Calls an API, giving up after the timeout.
+        * @param  {string} api The name of the API function on the window.
+        * @param  {Function} call A function making the call, taking a callback.
+        * @param  {Function} done Called (once) when answered or timed out.
+        */
+        function callWithTimeout(api, call, done) {
+          if (typeof $window[api] !== 'function') {
+            done();
+            return;
+          }
+
+          let finished = false;
+
+          const timer = $timeout(() => {
+            finished = true;
+            done();
+          }, parseDuration(self.timeout), false);
+
+          call(() => {
+            if (finished) return;
+            finished = true;
+            $timeout.cancel(timer);
+            done();
+          });
+        }
+
+        /**
+        * Reads the US Privacy string.
+        * @param {Function} done Called when read (or timed out).
+        */
+        function readUSP(done) {
+          callWithTimeout('__uspapi', answered => {
+            $window.__uspapi('getUSPData', 1, (data, success) => {
+              if (success && data) uspString = data.uspString || null;
+              answered();
+            });
+          }, done);
+        }
+
+        /**
+        * Reads the GPP string, listening to any later changes.
+        * @param {Function} done Called when read (or timed out).
+        */
+        function readGPP(done) {
+          callWithTimeout('__gpp', answered => {
+            $window.__gpp('addEventListener', (event, success) => {
+              if (!success || !event || !event.pingData) return;
+              if (event.pingData.signalStatus !== 'ready') return;
+
+              gppData = event.pingData;
+
+              // Only later events are changes
+              if (state) {
+                update();
+              } else {
+                answered();
+              }
+            });
+          }, done);
+        }
+
+        /**
+        * Starts reading both signals.
+        */
+        function start() {
+          started = true;
+
+          let pending = 2;
+          const done = () => {
+            if (--pending === 0) resolve();
+          };
+
+          readUSP(done);
+          readGPP(done);
+        }
+
+        /**
+        * The `dfpPrivacySignals` service.
+        *
+        * Calls the task with the signal state once both signals were read.
+        * If reading signals is disabled or the state is known already, the
+        * task is called synchronously.
+        *
+        * @param {Function} task The function to call with the signal state
+        *                        (null if reading signals is disabled).
+        */
+        function dfpPrivacySignals(task) {
+          if (!self.enabled) {
+            task(null);
+            return;
+          }
+
+          if (state) {
+            task(state);
+            return;
+          }
+
+          queue.push(task);
+
+          if (!started) start();
+        }
+
+        /**
+        * Registers a function to call whenever the signals change.
+        *
+        * Listeners are called synchronously, before any task waiting for the
+        * signals is released.
+        *
+        * @param  {Function} listener The function to call with the state.
+        * @return {Function} A function to deregister the listener.
+        */
+        dfpPrivacySignals.onChange = function(listener) {
+          listeners.push(listener);
+
+          return function() {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+          };
+        };
+
+        /**
+        * Tests if the signals were read (or reading them is disabled).
+        * @return {boolean} True if ads may be requested, else false.
+        */
+        dfpPrivacySignals.isReady = function() {
+          return !self.enabled || state !== null;
+        };
+
+        /**
+        * Returns the current signal state.
+        * @return {?Object} The frozen signal state, or null if not known.
+        */
+        dfpPrivacySignals.getState = function() {
+          return state;
+        };
+
+        return dfpPrivacySignals;
+      }];
+  }
+
+  module.provider('dfpPrivacySignals', [dfpPrivacySignalsProvider]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -75,6 +75,65 @@ googletag.cmd = googletag.cmd || [];
    */
     self.refreshInterval = null;
 
+    /**
+    * Whether to batch refresh calls.
+    *
+    * If true, all slots scheduled for an (unbuffered) refresh in the same
+    * tick are refreshed with a single call. This is enabled automatically
+    * when single request architecture is enabled via `dfpProvider`.
+    * @type {boolean}
+    */
+    self.batching = false;
+
+    /**
+    * The minimum time a slot must have been in view since it was last
+    * rendered before an interval refreshes it (anything valid for
+    * `parseDuration`), e.g. '30s'.
+    *
+    * If null, intervals refresh slots blindly. Otherwise, a slot whose
+    * interval elapses is only refreshed once it has been in view for that
+    * long, as measured by `dfpViewability`.
+    * @type {?number|string}
+    */
+    self.minimumTimeInView = null;
+
+    /**
+    * Whether to pause all refresh timers while the page is hidden (e.g. in a
+    * background tab), as reported by the Page Visibility API.
+    * @type {boolean}
+    */
+    self.pauseWhenHidden = true;
+
+    /**
+    * The maximum number of times any slot is refreshed by an interval,
+    * unless overridden via the `max-refreshes` attribute of `dfp-ad`. Once
+    * reached, the slot's interval is cancelled. If null, there is no limit.
+    * @type {?number}
+    */
+    self.maxRefreshesPerSlot = null;
+
+    /**
+    * The maximum number of interval refreshes of all slots on the page. Once
+    * reached, all intervals are cancelled. If null, there is no limit.
+    * @type {?number}
+    */
+    self.maxRefreshesPerPage = null;
+
+    /**
+    * The maximum number of interval refreshes of all slots on the page within
+    * any `refreshWindow`. Refreshes beyond it are skipped until the window
+    * has moved on. If null, there is no limit.
+    * @type {?number}
+    */
+    self.maxRefreshesPerWindow = null;
+
+    /**
+    * The length of the window for `maxRefreshesPerWindow` (anything valid
+    * for `parseDuration`).
+    * @type {number|string}
+    */
+    self.refreshWindow = '1h';
+
     /* eslint-disable quote-props */
     /**
     * Dynamic weighting to prioritize certain
@@ -90,11 +149,17 @@ googletag.cmd = googletag.cmd || [];
 
     self.$get = [
       '$rootScope',
+      '$document',
       '$interval',
+      '$timeout',
       '$q',
       '$log',
       'parseDuration',
-      function($rootScope, $interval, $q, $log, parseDuration) {
+      'dfpConsent',
+      'dfpPrivacySignals',
+      'dfpViewability',
+      function($rootScope, $document, $interval, $timeout, $q, $log,
+               parseDuration, dfpConsent, dfpPrivacySignals, dfpViewability) {
         /**
         * The possible buffering/refreshing options (as an "enum")
         * @type {!Object}
@@ -124,6 +189,19 @@ googletag.cmd = googletag.cmd || [];
         */
         let buffer = [];
 
+        /**
+        * The ads scheduled for refreshing in the current tick, if batching.
+        * @type {Array}
+        */
+        let batch = [];
+
+        /**
+        * The refreshes due by interval, waiting for their slot to have been
+        * in view long enough, keyed by slot element ID.
+        * @type {!Object<string, !Object>}
+        */
+        let due = {};
+
         /**
         * Need to store all intervals because any interval created
         * using $interval must explicitly be destroyed, and to enable
@@ -132,6 +210,50 @@ googletag.cmd = googletag.cmd || [];
         */
         const intervals = {refresh: null, buffer: null};
 
+        /**
+        * The interval timers of single slots, keyed by slot element ID.
+        * @type {!Object<string, !Object>}
+        */
+        const slotIntervals = {};
+
+        /**
+        * The number of interval refreshes per slot, keyed by element ID.
+        * @type {!Object<string, number>}
+        */
+        const refreshCounts = {};
+
+        /**
+        * The per-slot refresh caps set via `setMaxRefreshes()`, keyed by
+        * element ID.
+        * @type {!Object<string, number>}
+        */
+        const slotCaps = {};
+
+        /**
+        * The number of interval refreshes on the page.
+        * @type {number}
+        */
+        let pageRefreshCount = 0;
+
+        /**
+        * The times (in ms since the epoch) of the interval refreshes within
+        * the current window.
+        * @type {!Array<number>}
+        */
+        let windowRefreshTimes = [];
+
+        /**
+        * Whether the timers were paused via `dfpRefresh.pause()`.
+        * @type {boolean}
+        */
+        let pausedManually = false;
+
+        /**
+        * Whether the timers are paused because the page is hidden.
+        * @type {boolean}
+        */
+        let pausedHidden = false;
+
         /**
         * Stores the activity status of the buffering/refreshing options.
         * @type {Object}
@@ -174,28 +296,146 @@ googletag.cmd = googletag.cmd || [];
 
         /**
         * Cancels an interval set for a certain ad slot.
-        * @param  {googletag.Slot} slot The ad slot to cancel the interval for.
+        * @param  {googletag.Slot|string} slot The ad slot (or its element ID)
+        *                                      to cancel the interval for.
         * @throws DFPRefreshError When the given slot has not interval associated.
         * @return {Function} The current `dfpRefresh` instance.
         */
         dfpRefresh.cancelInterval = function(slot) {
-          if (!dfpRefresh.hasSlotInterval(slot)) {
-            throw new DFPRefreshError("No interval for given slot");
-          }
+          const id = idOf(slot);
+          const timer = slotIntervalFor(id);
 
-          $interval.cancel(intervals[slot]);
-          delete intervals[slot];
+          stopTimer(timer);
+          delete slotIntervals[id];
+          delete due[id];
 
           return dfpRefresh;
         };
 
         /**
         * Tests if the given slot has an interval set.
-        * @param  {googletag.Slot}  slot The slot to check.
+        * @param  {googletag.Slot|string}  slot The slot (or its element ID).
         * @return {!boolean} True if an interval is set for the slot, else false.
         */
         dfpRefresh.hasSlotInterval = function(slot) {
-          return slot in intervals;
+          return idOf(slot) in slotIntervals;
+        };
+
+        /**
+        * Pauses the interval of a single slot.
+        *
+        * The interval keeps the time remaining until its next tick and stays
+        * paused until `resumeSlot()` is called, even if all timers are
+        * resumed.
+        *
+        * @param  {googletag.Slot|string} slot The slot (or its element ID).
+        * @throws DFPRefreshError When the given slot has no interval.
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.pauseSlot = function(slot) {
+          const timer = slotIntervalFor(idOf(slot));
+
+          timer.held = true;
+          pauseTimer(timer);
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Resumes the interval of a single slot paused via `pauseSlot()`.
+        *
+        * If all timers are paused (see `pause()`), the interval resumes with
+        * them.
+        *
+        * @param  {googletag.Slot|string} slot The slot (or its element ID).
+        * @throws DFPRefreshError When the given slot has no interval.
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.resumeSlot = function(slot) {
+          const timer = slotIntervalFor(idOf(slot));
+
+          timer.held = false;
+          if (!dfpRefresh.isPaused()) resumeTimer(timer);
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Tests if the interval of a slot is paused, either by itself or
+        * because all timers are paused.
+        *
+        * @param  {googletag.Slot|string} slot The slot (or its element ID).
+        * @return {boolean} True if the slot's interval is paused, else false.
+        */
+        dfpRefresh.isSlotPaused = function(slot) {
+          const timer = slotIntervals[idOf(slot)];
+          return Boolean(timer) && timer.paused;
+        };
+
+        /**
+        * Changes the interval at which a slot is refreshed.
+        *
+        * The new interval starts counting immediately. A slot paused via
+        * `pauseSlot()` stays paused.
+        *
+        * @param  {googletag.Slot|string} slot The slot (or its element ID, if
+        *                                      it has an interval already).
+        * @param  {string|number} interval The new interval (as valid for the
+        *                                  `parseDuration` service).
+        * @throws DFPRefreshError When only an ID is given and the slot has no
+        *                         interval.
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.rescheduleSlot = function(slot, interval) {
+          const id = idOf(slot);
+          const previous = slotIntervals[id];
+
+          if (!previous && typeof slot === 'string') {
+            throw new DFPRefreshError(`No interval for slot '${id}'`);
+          }
+
+          const task = previous ?
+                       previous.refreshTask :
+                       {slot, deferred: $q.defer()};
+
+          if (previous) stopTimer(previous);
+          addSlotInterval(task, interval);
+
+          if (previous && previous.held) dfpRefresh.pauseSlot(id);
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Releases everything held for a slot that is being destroyed.
+        *
+        * The slot's interval is cancelled and any of its refreshes still
+        * buffered, batched or waiting for it to be in view are dropped, as
+        * are its refresh count and cap. This is called automatically when
+        * the scope of the owning `dfp-ad` is destroyed.
+        *
+        * @param  {googletag.Slot|string} slot The slot (or its element ID).
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.teardownSlot = function(slot) {
+          const id = idOf(slot);
+
+          if (dfpRefresh.hasSlotInterval(id)) {
+            dfpRefresh.cancelInterval(id);
+          }
+
+          delete due[id];
+          delete refreshCounts[id];
+          delete slotCaps[id];
+
+          // Keep the length of the buffer, in case a barrier is waiting
+          buffer = buffer.map(task => {
+            return task && idOf(task.slot) === id ? null : task;
+          });
+
+          batch = batch.filter(task => idOf(task.slot) !== id);
+
+          return dfpRefresh;
         };
 
         /**
@@ -426,6 +666,215 @@ googletag.cmd = googletag.cmd || [];
           return self.refreshInterval;
         };
 
+        /**
+        * Pauses all refresh timers.
+        *
+        * This is useful to freeze refreshing while, for example, a modal is
+        * open or a video is playing. Until `resume()` is called, slot
+        * intervals as well as the global refresh and buffer intervals don't
+        * fire, and each keeps the time remaining until its next tick.
+        *
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.pause = function() {
+          pausedManually = true;
+          updatePaused();
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Resumes all refresh timers paused via `pause()`.
+        *
+        * Each timer first fires after the time it had remaining when paused.
+        * If the page is hidden, the timers resume once it is visible again.
+        *
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.resume = function() {
+          pausedManually = false;
+          updatePaused();
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Tests if the refresh timers are paused, either via `pause()` or
+        * because the page is hidden.
+        * @return {boolean} True if paused, else false.
+        */
+        dfpRefresh.isPaused = function() {
+          return pausedManually || pausedHidden;
+        };
+
+        /**
+        * Sets the maximum number of interval refreshes for a slot.
+        *
+        * This overrides `maxRefreshesPerSlot` for the slot and is set by the
+        * `max-refreshes` attribute of `dfp-ad`.
+        *
+        * @param {!googletag.Slot} slot The slot.
+        * @param {?number} maxRefreshes The maximum number of refreshes, or
+        *                               null to apply the global setting.
+        * @return {Function} The current `dfpRefresh` instance.
+        * @throws DFPRefreshError If the maximum is not a non-negative number.
+        */
+        dfpRefresh.setMaxRefreshes = function(slot, maxRefreshes) {
+          const id = slot.getSlotElementId();
+
+          if (maxRefreshes === null) {
+            delete slotCaps[id];
+            return dfpRefresh;
+          }
+
+          if (typeof maxRefreshes !== 'number' || !(maxRefreshes >= 0)) {
+            throw new DFPRefreshError(
+              `Invalid maximum number of refreshes '${maxRefreshes}'`
+            );
+          }
+
+          slotCaps[id] = maxRefreshes;
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Returns the number of times a slot was refreshed by an interval.
+        * @param  {!googletag.Slot|string} slot The slot or its element ID.
+        * @return {number} The number of interval refreshes.
+        */
+        dfpRefresh.getRefreshCount = function(slot) {
+          return refreshCounts[idOf(slot)] || 0;
+        };
+
+        /**
+        * Tests if a slot may not be refreshed by an interval anymore, because
+        * its own cap or the page cap was reached.
+        *
+        * @param  {!googletag.Slot|string} slot The slot or its element ID.
+        * @return {boolean} True if the slot is capped, else false.
+        */
+        dfpRefresh.isCapped = function(slot) {
+          return slotIsCapped(idOf(slot)) || pageIsCapped();
+        };
+
+        /**
+        * Returns the state of the refresh caps.
+        *
+        * @param  {(!googletag.Slot|string)=} slot A slot or its element ID to
+        *                                         include the slot's state.
+        * @return {!Object} A frozen `{page, window[, slot]}` object, where each
+        *                   entry is a `{count, max, capped}` object.
+        */
+        dfpRefresh.getCapState = function(slot) {
+          pruneWindow();
+
+          const state = {
+            page: Object.freeze({
+              count: pageRefreshCount,
+              max: self.maxRefreshesPerPage,
+              capped: pageIsCapped()
+            }),
+            window: Object.freeze({
+              count: windowRefreshTimes.length,
+              max: self.maxRefreshesPerWindow,
+              duration: parseDuration(self.refreshWindow),
+              capped: windowIsCapped()
+            })
+          };
+
+          if (slot !== undefined) {
+            const id = idOf(slot);
+            state.slot = Object.freeze({
+              count: dfpRefresh.getRefreshCount(id),
+              max: maxRefreshesFor(id),
+              capped: slotIsCapped(id)
+            });
+          }
+
+          return Object.freeze(state);
+        };
+
+        /**
+        * Sets the minimum time in view for interval refreshes.
+        *
+        * @param {?string|number} duration The minimum time a slot must have
+        *                                  been in view since its last render
+        *                                  (as valid for `parseDuration`), or
+        *                                  null to refresh slots blindly.
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.setMinimumTimeInView = function(duration) {
+          if (duration === null) {
+            self.minimumTimeInView = null;
+            flushDue();
+          } else {
+            self.minimumTimeInView = parseDuration(duration);
+            dfpViewability();
+          }
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Returns the minimum time in view for interval refreshes, if any.
+        * @return {?number} The minimum time in view (in ms).
+        */
+        dfpRefresh.getMinimumTimeInView = function() {
+          return self.minimumTimeInView;
+        };
+
+        /**
+        * Tests if interval refreshes wait for slots to be in view.
+        * @return {boolean} True if refreshing is viewability-aware.
+        */
+        dfpRefresh.isViewabilityAware = function() {
+          return self.minimumTimeInView !== null;
+        };
+
+        /**
+        * Discards all refresh calls currently buffered.
+        *
+        * This is useful when the slots in the buffer are about to be
+        * destroyed, e.g. on a route change in a single-page application.
+        * Any barrier remains installed, but counts from zero again.
+        *
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.clearBuffer = function() {
+          buffer = [];
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Enables or disables batching of refresh calls.
+        *
+        * When batching, all slots scheduled for an (unbuffered) refresh in the
+        * same digest or tick are sent off with a single
+        * `googletag.pubads().refresh(slots)` call. Together with single
+        * request architecture, this means that competitive exclusions and
+        * roadblocks work across these slots.
+        *
+        * @param {boolean} batching Whether to batch refresh calls.
+        * @return {Function} The current `dfpRefresh` instance.
+        */
+        dfpRefresh.setBatching = function(batching) {
+          self.batching = Boolean(batching);
+
+          if (!self.batching) flushBatch();
+
+          return dfpRefresh;
+        };
+
+        /**
+        * Tests if refresh calls are batched.
+        * @return {boolean} True if batching is enabled, else false.
+        */
+        dfpRefresh.isBatching = function() {
+          return self.batching;
+        };
+
         /**
         * Checks if either of the buffering mechanisms are enabled.
         * @return {!boolean} True if either the buffer barrier or
@@ -640,6 +1089,18 @@ googletag.cmd = googletag.cmd || [];
           }
         }
 
+        /**
+        * Calls the task once ads may be requested.
+        *
+        * This is the case once the user's consent and the privacy signals
+        * are known (or immediately, if neither is enabled).
+        *
+        * @param {Function} task The task to call.
+        */
+        function whenAllowed(task) {
+          dfpConsent(() => dfpPrivacySignals(task));
+        }
+
         /**
         * The main refreshing function.
         *
@@ -653,8 +1114,10 @@ googletag.cmd = googletag.cmd || [];
 
           // If 'tasks' was not passed at all, we refresh all ads
           if (tasks === undefined) {
-            googletag.cmd.push(() => {
-              googletag.pubads().refresh();
+            whenAllowed(() => {
+              googletag.cmd.push(() => {
+                googletag.pubads().refresh();
+              });
             });
             return;
           }
@@ -669,12 +1132,219 @@ googletag.cmd = googletag.cmd || [];
           // persistent).
           tasks = tasks.filter(pair => pair !== null);
 
+          // No ad request leaves before consent is known (if gating is on)
+          whenAllowed(() => {
+            googletag.cmd.push(() => {
+              googletag.pubads().refresh(tasks.map(task => task.slot));
+              tasks.forEach(task => task.deferred.resolve());
+            });
+          });
+        }
+
+        /**
+        * Returns the element ID for a slot or ID.
+        * @param  {!googletag.Slot|string} slot A slot or its element ID.
+        * @return {string} The element ID.
+        */
+        function idOf(slot) {
+          return typeof slot === 'string' ? slot : slot.getSlotElementId();
+        }
+
+        /**
+        * Returns the interval timer of a slot, throwing if there is none.
+        * @param  {string} id The element ID of the slot.
+        * @return {!Object} The timer.
+        * @throws DFPRefreshError When the given slot has no interval.
+        */
+        function slotIntervalFor(id) {
+          if (!(id in slotIntervals)) {
+            throw new DFPRefreshError(`No interval for slot '${id}'`);
+          }
+
+          return slotIntervals[id];
+        }
+
+        /**
+        * Tests if any refresh cap is configured.
+        * @return {boolean} True if refreshes are capped in any way.
+        */
+        function hasCaps() {
+          return self.maxRefreshesPerSlot !== null ||
+                 self.maxRefreshesPerPage !== null ||
+                 self.maxRefreshesPerWindow !== null ||
+                 Object.keys(slotCaps).length > 0;
+        }
+
+        /**
+        * Returns the maximum number of interval refreshes for a slot.
+        * @param  {string} id The element ID of the slot.
+        * @return {?number} The maximum, or null if there is none.
+        */
+        function maxRefreshesFor(id) {
+          return id in slotCaps ? slotCaps[id] : self.maxRefreshesPerSlot;
+        }
+
+        /**
+        * Tests if a slot reached its refresh cap.
+        * @param  {string} id The element ID of the slot.
+        * @return {boolean} True if capped, else false.
+        */
+        function slotIsCapped(id) {
+          const max = maxRefreshesFor(id);
+          return max !== null && dfpRefresh.getRefreshCount(id) >= max;
+        }
+
+        /**
+        * Tests if the page reached its refresh cap.
+        * @return {boolean} True if capped, else false.
+        */
+        function pageIsCapped() {
+          const max = self.maxRefreshesPerPage;
+          return max !== null && pageRefreshCount >= max;
+        }
+
+        /**
+        * Forgets the refreshes that fell out of the current window.
+        */
+        function pruneWindow() {
+          const start = Date.now() - parseDuration(self.refreshWindow);
+          windowRefreshTimes = windowRefreshTimes.filter(time => time > start);
+        }
+
+        /**
+        * Tests if the window reached its refresh cap.
+        * @return {boolean} True if capped, else false.
+        */
+        function windowIsCapped() {
+          const max = self.maxRefreshesPerWindow;
+          return max !== null && windowRefreshTimes.length >= max;
+        }
+
+        /**
+        * Cancels the intervals that may not refresh anymore.
+        * @param  {string} id The element ID of the slot refreshed last.
+        */
+        function enforceCaps(id) {
+          if (pageIsCapped()) {
+            Object.keys(slotIntervals).forEach(dfpRefresh.cancelInterval);
+            disableRefreshInterval();
+            $rootScope.$evalAsync(() => {
+              $rootScope.$broadcast('dfp:refreshCapped', {cap: 'page', id});
+            });
+          } else if (slotIsCapped(id)) {
+            delete due[id];
+
+            if (dfpRefresh.hasSlotInterval(id)) {
+              dfpRefresh.cancelInterval(id);
+            }
+
+            $rootScope.$evalAsync(() => {
+              $rootScope.$broadcast('dfp:refreshCapped', {cap: 'slot', id});
+            });
+          }
+        }
+
+        /**
+        * Counts an interval refresh, unless a cap forbids it.
+        * @param  {!Object} task The `(slot, promise)` object.
+        * @return {boolean} True if the slot may be refreshed, else false.
+        */
+        function countRefresh(task) {
+          const id = idOf(task.slot);
+
+          pruneWindow();
+          if (dfpRefresh.isCapped(id) || windowIsCapped()) return false;
+
+          refreshCounts[id] = dfpRefresh.getRefreshCount(id) + 1;
+          pageRefreshCount += 1;
+          windowRefreshTimes.push(Date.now());
+
+          enforceCaps(id);
+
+          return true;
+        }
+
+        /**
+        * Schedules an interval refresh, unless a cap forbids it.
+        * @param  {!Object} task The `(slot, promise)` object.
+        */
+        function scheduleCappedRefresh(task) {
+          if (countRefresh(task)) scheduleRefresh(task);
+        }
+
+        /**
+        * Refreshes all slots for the global refresh interval.
+        *
+        * If refreshing is viewability-aware, each slot is only refreshed
+        * once it has been in view long enough. Slots that reached their
+        * refresh cap are skipped.
+        */
+        function refreshAll() {
+          if (self.minimumTimeInView === null && !hasCaps()) {
+            refresh();
+            return;
+          }
+
           googletag.cmd.push(() => {
-            googletag.pubads().refresh(tasks.map(task => task.slot));
-            tasks.forEach(task => task.deferred.resolve());
+            const tasks = googletag.pubads().getSlots().map(slot => {
+              return {slot, deferred: $q.defer()};
+            });
+
+            // Keep refreshing all slots with a single call where possible
+            if (self.minimumTimeInView === null) {
+              refresh(tasks.filter(countRefresh));
+            } else {
+              tasks.forEach(refreshWhenViewed);
+            }
+          });
+        }
+
+        /**
+        * Schedules a refresh due by interval.
+        *
+        * If refreshing is viewability-aware, the refresh waits until the slot
+        * has been in view long enough. Only one refresh per slot waits.
+        *
+        * @param  {!Object} task The `(slot, promise)` object.
+        */
+        function refreshWhenViewed(task) {
+          if (self.minimumTimeInView === null) {
+            scheduleCappedRefresh(task);
+            return;
+          }
+
+          due[task.slot.getSlotElementId()] = task;
+          checkDue();
+        }
+
+        /**
+        * Refreshes all due slots that have been in view long enough, unless
+        * the timers are paused.
+        */
+        function checkDue() {
+          if (dfpRefresh.isPaused()) return;
+
+          Object.keys(due).forEach(id => {
+            if (dfpViewability.getTimeInView(id) >= self.minimumTimeInView) {
+              const task = due[id];
+              delete due[id];
+
+              // Don't count the time until the new ad renders twice
+              dfpViewability.resetTimeInView(id);
+              scheduleCappedRefresh(task);
+            }
           });
         }
 
+        /**
+        * Refreshes all due slots, regardless of their time in view.
+        */
+        function flushDue() {
+          const tasks = Object.keys(due).map(id => due[id]);
+          due = {};
+          tasks.forEach(scheduleCappedRefresh);
+        }
+
         /**
         * Sends the buffer off for refreshing and clears it.
         */
@@ -683,6 +1353,178 @@ googletag.cmd = googletag.cmd || [];
           buffer = [];
         }
 
+        /**
+        * Sends the current batch off for refreshing and clears it.
+        */
+        function flushBatch() {
+          const tasks = batch;
+          batch = [];
+          refresh(tasks);
+        }
+
+        /**
+        * Adds a refresh call to the batch of the current tick.
+        * @param  {!Object} task The `(slot, promise)` object.
+        */
+        function batchRefresh(task) {
+          batch.push(task);
+
+          // The first task of a tick schedules the flush
+          if (batch.length === 1) {
+            $timeout(flushBatch, 0, false);
+          }
+        }
+
+        /**
+        * Starts a timer calling a task at an interval.
+        *
+        * Unlike a plain `$interval`, the timer can be paused and resumed,
+        * keeping the time remaining until its next tick. If the timers are
+        * paused currently, the timer starts paused.
+        *
+        * @param  {Function} task The function to call.
+        * @param  {number} delay The interval, in milliseconds.
+        * @return {!Object} The timer.
+        */
+        function startTimer(task, delay) {
+          const timer = {
+            task,
+            delay,
+            paused: false,
+            held: false,
+            interval: null,
+            timeout: null,
+            lastTick: Date.now(),
+            resumedAt: null,
+            remaining: delay
+          };
+
+          if (dfpRefresh.isPaused()) {
+            timer.paused = true;
+          } else {
+            runTimer(timer);
+          }
+
+          return timer;
+        }
+
+        /**
+        * Runs a timer at its interval.
+        * @param  {!Object} timer The timer.
+        */
+        function runTimer(timer) {
+          timer.paused = false;
+          timer.lastTick = Date.now();
+          timer.interval = $interval(() => {
+            timer.lastTick = Date.now();
+            timer.task();
+          }, timer.delay);
+        }
+
+        /**
+        * Pauses a timer, storing the time remaining until its next tick.
+        * @param  {!Object} timer The timer.
+        */
+        function pauseTimer(timer) {
+          if (timer.paused) return;
+
+          // When paused while resuming, the remaining time is yet to elapse
+          if (timer.timeout === null) {
+            const elapsed = Date.now() - timer.lastTick;
+            timer.remaining = Math.max(0, timer.delay - elapsed);
+          } else {
+            const elapsed = Date.now() - timer.resumedAt;
+            timer.remaining = Math.max(0, timer.remaining - elapsed);
+          }
+
+          cancelTimer(timer);
+          timer.paused = true;
+        }
+
+        /**
+        * Resumes a timer, first firing after the time it had remaining.
+        * @param  {!Object} timer The timer.
+        */
+        function resumeTimer(timer) {
+          if (!timer.paused) return;
+
+          timer.paused = false;
+          timer.resumedAt = Date.now();
+          timer.timeout = $timeout(() => {
+            timer.timeout = null;
+            runTimer(timer);
+            timer.task();
+          }, timer.remaining);
+        }
+
+        /**
+        * Cancels any pending tick of a timer.
+        * @param  {!Object} timer The timer.
+        */
+        function cancelTimer(timer) {
+          if (timer.interval !== null) {
+            $interval.cancel(timer.interval);
+            timer.interval = null;
+          }
+
+          if (timer.timeout !== null) {
+            $timeout.cancel(timer.timeout);
+            timer.timeout = null;
+          }
+        }
+
+        /**
+        * Stops a timer for good.
+        * @param  {?Object} timer The timer, if any.
+        */
+        function stopTimer(timer) {
+          if (!timer) return;
+          cancelTimer(timer);
+          timer.paused = true;
+        }
+
+        /**
+        * Pauses or resumes all timers, depending on whether the timers were
+        * paused manually or the page is hidden. On resuming, the slots that
+        * became due in the meantime are refreshed.
+        */
+        function updatePaused() {
+          const paused = dfpRefresh.isPaused();
+
+          allTimers().forEach(timer => {
+            if (paused || timer.held) {
+              pauseTimer(timer);
+            } else {
+              resumeTimer(timer);
+            }
+          });
+
+          if (!paused) checkDue();
+        }
+
+        /**
+        * Returns all active timers.
+        * @return {!Array<!Object>} The global and slot interval timers.
+        */
+        function allTimers() {
+          const timers = Object.keys(slotIntervals).map(id => {
+            return slotIntervals[id];
+          });
+
+          if (intervals.refresh) timers.push(intervals.refresh);
+          if (intervals.buffer) timers.push(intervals.buffer);
+
+          return timers;
+        }
+
+        /**
+        * Pauses or resumes the timers when the page visibility changes.
+        */
+        function handleVisibilityChange() {
+          pausedHidden = self.pauseWhenHidden && Boolean($document[0].hidden);
+          updatePaused();
+        }
+
         /**
         * Enables the global refresh interval.
         */
@@ -697,11 +1539,13 @@ googletag.cmd = googletag.cmd || [];
 
             // Calling refresh() without any arguments
             // will refresh all registered ads on the site
-            refresh();
+            refreshAll();
           };
 
-          const promise = $interval(task, self.refreshInterval);
-          intervals.refresh = promise;
+          // The interval may have changed, and a timer left running would
+          // escape pausing
+          stopTimer(intervals.refresh);
+          intervals.refresh = startTimer(task, self.refreshInterval);
           isEnabled.refresh = true;
         }
 
@@ -713,7 +1557,7 @@ googletag.cmd = googletag.cmd || [];
         */
         function disableRefreshInterval() {
           if (isEnabled.refresh) {
-            $interval.cancel(intervals.refresh);
+            stopTimer(intervals.refresh);
             intervals.refresh = null;
             isEnabled.refresh = false;
           }
@@ -735,8 +1579,10 @@ googletag.cmd = googletag.cmd || [];
             clearBufferRespectingBarrier();
           };
 
-          const promise = $interval(task, self.bufferInterval);
-          intervals.buffer = promise;
+          // The interval may have changed, and a timer left running would
+          // escape pausing
+          stopTimer(intervals.buffer);
+          intervals.buffer = startTimer(task, self.bufferInterval);
           isEnabled.interval = true;
         }
 
@@ -748,7 +1594,7 @@ googletag.cmd = googletag.cmd || [];
         */
         function disableBufferInterval() {
           if (isEnabled.interval) {
-            $interval.cancel(intervals.buffer);
+            stopTimer(intervals.buffer);
             intervals.buffer = null;
             isEnabled.interval = false;
           }
@@ -794,19 +1640,25 @@ googletag.cmd = googletag.cmd || [];
           const parsedInterval = parseDuration(interval);
           validateInterval(parsedInterval, interval);
 
-          const promise = $interval(
-            () => { scheduleRefresh(task); },
+          const id = idOf(task.slot);
+
+          // A slot only ever has one interval
+          if (id in slotIntervals) stopTimer(slotIntervals[id]);
+
+          const timer = startTimer(
+            () => { refreshWhenViewed(task); },
             parsedInterval
           );
 
-          intervals[task.slot] = promise;
+          timer.refreshTask = task;
+          slotIntervals[id] = timer;
         }
 
         /**
         * Schedules a refresh for a slot.
         *
         * This function is basically a proxy to refresh(), as it may either
-        * buffer the refresh call or do it immediately.
+        * buffer or batch the refresh call or do it immediately.
         *
         * @param  {!Object} task The `(slot, promise)` object.
         * @see bufferRefresh()
@@ -814,6 +1666,8 @@ googletag.cmd = googletag.cmd || [];
         function scheduleRefresh(task) {
           if (dfpRefresh.isBuffering()) {
             bufferRefresh(task);
+          } else if (self.batching) {
+            batchRefresh(task);
           } else {
             refresh([task]);
           }
@@ -852,10 +1706,8 @@ googletag.cmd = googletag.cmd || [];
 
         // Unregister all listeners when the root scope dies
         $rootScope.$on('$destroy', function() {
-          // eslint-disable-next-line no-undef
-          intervals.forEach(promise => {
-            $interval.cancel(promise);
-          });
+          $document.off('visibilitychange', handleVisibilityChange);
+          allTimers().forEach(stopTimer);
         });
 
         if (self.refreshInterval) {
@@ -866,6 +1718,15 @@ googletag.cmd = googletag.cmd || [];
           self.bufferInterval = parseDuration(self.bufferInterval);
         }
 
+        if (self.minimumTimeInView !== null) {
+          dfpRefresh.setMinimumTimeInView(self.minimumTimeInView);
+        }
+
+        dfpViewability.onTick(checkDue);
+
+        $document.on('visibilitychange', handleVisibilityChange);
+        handleVisibilityChange();
+
         prioritize();
 
         return dfpRefresh;
@@ -0,0 +1,196 @@
+/**
+* @file Integrates the library with ngRoute and ui-router.
+*
+* In a single-page application, every view is a virtual pageview. The optional
+* `angularDfp.router` module listens to successful route changes of ngRoute
+* (`$routeChangeSuccess`) and ui-router (`$stateChangeSuccess`, or transitions
+* in ui-router 1.x) and then:
+*
+* 1. replaces the page-level targeting with the targeting declared on the new
+*    route or state (under the `dfpTargeting` property by default),
+* 2. updates the correlator (of GPT and of video ad tags), so that the view
+*    counts as a new pageview in Ad Manager, and
+* 3. discards any refresh calls still buffered by `dfpRefresh` for slots of
+*    the previous view.
+*
+* @example <caption>Declaring per-route targeting.</caption>
+* angular.module('myApp', ['ngRoute', 'angularDfp', 'angularDfp.router'])
+*   .config(['$routeProvider', $routeProvider => {
+*     $routeProvider.when('/sports/:sport', {
+*       templateUrl: 'sports.html',
+*       dfpTargeting: params => ({section: 'sports', sport: params.sport})
+*     });
+*   }]);
+*
+* // With ui-router, the targeting is declared in the state's data
+* $stateProvider.state('news', {
+*   url: '/news',
+*   data: {dfpTargeting: {section: 'news'}}
+* });
+*
+* @module dfp-router
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line no-use-before-define, no-var
+var googletag = googletag || {};
+googletag.cmd = googletag.cmd || [];
+
+// eslint-disable-next-line no-undef, no-unused-vars
+let angularDfpRouter = angular.module('angularDfp.router', ['angularDfp']);
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-router */ function(module) {
+  'use strict';
+
+  /**
+  * The provider for the `dfpRouter` service.
+  * @private
+  */
+  function dfpRouterProvider() {
+    /**
+    * Reference to the dfpRouterProvider.
+    * @type {Function}
+    */
+    const self = this;
+
+    /**
+    * The property of routes (or the `data` property of states) holding the
+    * targeting. Its value is an object of `(key, value|[values])` or a
+    * function taking the route or state parameters and returning one.
+    * @type {string}
+    */
+    self.targetingProperty = 'dfpTargeting';
+
+    /**
+    * Whether to update the correlator on every route change.
+    * @type {boolean}
+    */
+    self.updateCorrelator = true;
+
+    /**
+    * Whether to discard buffered refresh calls on every route change.
+    * @type {boolean}
+    */
+    self.clearBuffer = true;
+
+    self.$get = [
+      '$rootScope',
+      '$injector',
+      'dfp',
+      'dfpRefresh',
+      'dfpVideoTag',
+      function($rootScope, $injector, dfp, dfpRefresh, dfpVideoTag) {
+        /**
+        * Whether we are listening to route changes yet.
+        * @type {boolean}
+        */
+        let listening = false;
+
+        /**
+        * Resolves the targeting declared on a route or state.
+        * @param  {*} declared The declared targeting (object or function).
+        * @param  {?Object} params The route or state parameters.
+        * @return {?Object} The targeting.
+        */
+        function resolveTargeting(declared, params) {
+          if (typeof declared === 'function') {
+            return declared(params || {});
+          }
+
+          return declared || null;
+        }
+
+        /**
+        * Starts a new virtual pageview.
+        *
+        * @param {?Object=} targeting The page-level targeting of the view.
+        */
+        function dfpRouter(targeting) {
+          dfp.setPageTargeting(targeting);
+
+          if (self.clearBuffer) {
+            dfpRefresh.clearBuffer();
+          }
+
+          if (self.updateCorrelator) {
+            dfpVideoTag.updateCorrelator();
+
+            googletag.cmd.push(() => {
+              const pubads = googletag.pubads();
+
+              // Newer versions of GPT change the correlator on refresh
+              if (typeof pubads.updateCorrelator === 'function') {
+                pubads.updateCorrelator();
+              }
+            });
+          }
+
+          $rootScope.$broadcast('dfp:pageview', targeting || {});
+        }
+
+        /**
+        * Handles a successful ngRoute route change.
+        * @param {!Object} event The Angular event.
+        * @param {?Object} current The current route.
+        */
+        function onRouteChange(event, current) {
+          if (!current) return;
+          const declared = current[self.targetingProperty];
+          dfpRouter(resolveTargeting(declared, current.params));
+        }
+
+        /**
+        * Handles a successful ui-router state change.
+        * @param {?Object} state The new state.
+        * @param {?Object} params The state parameters.
+        */
+        function onStateChange(state, params) {
+          const data = (state && state.data) || {};
+          dfpRouter(resolveTargeting(data[self.targetingProperty], params));
+        }
+
+        /**
+        * Starts listening to route changes (idempotent).
+        */
+        dfpRouter.listen = function() {
+          if (listening) return;
+          listening = true;
+
+          $rootScope.$on('$routeChangeSuccess', onRouteChange);
+
+          // ui-router 1.x has transitions, older versions only events
+          if ($injector.has('$transitions')) {
+            $injector.get('$transitions').onSuccess({}, transition => {
+              onStateChange(transition.to(), transition.params());
+            });
+          } else {
+            $rootScope.$on('$stateChangeSuccess', (event, state, params) => {
+              onStateChange(state, params);
+            });
+          }
+        };
+
+        return dfpRouter;
+      }];
+  }
+
+  module.provider('dfpRouter', [dfpRouterProvider]);
+
+  module.run(['dfpRouter', dfpRouter => { dfpRouter.listen(); }]);
+
+// eslint-disable-next-line
+})(angularDfpRouter);
@@ -4,8 +4,11 @@
 * A `dfp-size` directive specifies a `(width, height)` pair of ad dimensions.
 * This directive can not be defined on its own, but is only valid:
 *
-* 1. when nested directly under a `dfp-ad` directive, or
-* 2. when nested directly under a `dfp-responsive` directive.
+* 1. when nested directly under a `dfp-ad` directive,
+* 2. when nested directly under a `dfp-responsive` directive,
+* 3. when nested directly under a `dfp-passback` directive,
+* 4. when nested directly under a `dfp-video` directive, or
+* 5. when nested directly under a `dfp-outstream` directive.
 *
 * In the former case, the `dfp-size` directive specifies a fixed ad-slot size as
 * would be passed as the second parameter to the
@@ -47,8 +50,8 @@
   /**
   * The `dfp-size` directive.
   *
-  * This directive, when nested under either the `dfp-ad` or `dfp-responsive`
-  * tag, adds a size value to the parent. This size can either be given as
+  * This directive, when nested under either the `dfp-ad`, `dfp-responsive`,
+  * `dfp-passback`, `dfp-video` or `dfp-outstream` tag, adds a size value to the parent. This size can either be given as
   * width and height dimension via attributes, or as any valid string size
   * (e.g. 'fluid') between the tags.
   *
@@ -64,12 +67,16 @@
                             attributes,
                             parent,
                             DFPMissingParentError) {
-    // Only one of the two possible parents will be `null`
-    // Pick the most nested parent (`dfp-responsive`)
-    parent = parent[1] || parent[0];
+    // Pick the most nested parent (`dfp-responsive`), else the only one
+    parent = parent[1] || parent.filter(Boolean)[0];
 
     if (!parent) {
-      throw new DFPMissingParentError('dfp-size', 'dfp-ad', 'dfp-responsive');
+      throw new DFPMissingParentError('dfp-size',
+                                      'dfp-ad',
+                                      'dfp-responsive',
+                                      'dfp-passback',
+                                      'dfp-video',
+                                      'dfp-outstream');
     }
 
     if (scope.width && scope.height) {
@@ -84,7 +91,13 @@
     function(DFPMissingParentError) {
       return {
         restrict: 'E',
-        require: ['?^^dfpAd', '?^^dfpResponsive'],
+        require: [
+          '?^^dfpAd',
+          '?^^dfpResponsive',
+          '?^^dfpPassback',
+          '?^^dfpVideo',
+          '?^^dfpOutstream'
+        ],
         scope: {width: '=', height: '='},
         link: function(...args) {
           args = args.slice(0, 4).concat(DFPMissingParentError);
@@ -0,0 +1,285 @@
+/**
+* @file A registry of all ad slots defined by the library.
+*
+* Once a `dfp-ad` directive defines its slot, the `googletag.Slot` object is
+* registered with the `dfpSlots` service under the ID of the slot's element.
+* The service allows listing and looking up live slots (by element ID or ad
+* unit), retrieving their state and controlling them imperatively. Every
+* change to the registry is broadcast on the `$rootScope` as
+* `dfp:slotsChanged`.
+*
+* @example <caption>Refreshing a slot by its element ID.</caption>
+* dfpSlots.refresh('leaderboard');
+* dfpSlots.setTargeting('leaderboard', 'section', ['sports']);
+*
+* @module dfp-slots
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line no-use-before-define, no-var
+var googletag = googletag || {};
+googletag.cmd = googletag.cmd || [];
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-slots */ function(module) {
+  'use strict';
+
+  /**
+  * An error thrown by the `dfpSlots` service.
+  * @private
+  */
+  class DFPSlotsError extends Error {}
+
+  /**
+  * The factory for the `dfpSlots` service.
+  *
+  * @private
+  * @param {!angular.Scope} $rootScope The Angular `$rootScope` service.
+  * @param {Function} dfpRefresh The `dfpRefresh` service.
+  * @param {Function} dfpEvents The `dfpEvents` service.
+  * @param {Function} dfpViewability The `dfpViewability` service.
+  * @return {!Object} The `dfpSlots` service.
+  */
+  function dfpSlotsFactory($rootScope, dfpRefresh, dfpEvents, dfpViewability) {
+    /**
+    * The registered slots, keyed by element ID.
+    * @type {!Object<string, !Object>}
+    */
+    const entries = {};
+
+    /**
+    * The functions to call whenever the registry changes.
+    * @type {!Array<Function>}
+    */
+    const listeners = [];
+
+    /**
+    * The functions to call when a slot is destroyed through the registry,
+    * by element ID.
+    * @type {!Object<string, Function>}
+    */
+    const destroyCallbacks = {};
+
+    /**
+    * Notifies listeners and broadcasts a change of the registry.
+    * @param {string} type The type of change ('register' or 'unregister').
+    * @param {!Object} entry The affected entry.
+    */
+    function notify(type, entry) {
+      const change = Object.freeze({type, id: entry.id, entry});
+
+      listeners.forEach(listener => listener(change));
+
+      $rootScope.$evalAsync(() => {
+        $rootScope.$broadcast('dfp:slotsChanged', change);
+      });
+    }
+
+    /**
+    * Returns the entry for an ID, throwing if there is none.
+    * @param  {string} id The element ID of the slot.
+    * @return {!Object} The entry.
+    * @throws {DFPSlotsError} If no slot is registered under the ID.
+    */
+    function entryFor(id) {
+      if (!(id in entries)) {
+        throw new DFPSlotsError(`No slot registered for ID '${id}'`);
+      }
+
+      return entries[id];
+    }
+
+    /**
+    * The `dfpSlots` service.
+    * @type {!Object}
+    */
+    const dfpSlots = {};
+
+    /**
+    * Registers a slot.
+    *
+    * This is called by the `dfp-ad` directive once it has defined its slot.
+    *
+    * @param {!googletag.Slot} slot The slot.
+    * @param {!Object} state The frozen state of the `dfp-ad` controller.
+    * @param {Function=} onDestroy A function to call if the slot is destroyed
+    *                             through the registry, so that its owner
+    *                             stops using it.
+    * @return {!Object} The registry entry.
+    * @throws {DFPSlotsError} If the slot's ID is registered already.
+    */
+    dfpSlots.register = function(slot, state, onDestroy) {
+      const id = slot.getSlotElementId();
+
+      if (id in entries) {
+        throw new DFPSlotsError(`A slot is already registered for ID '${id}'`);
+      }
+
+      const entry = Object.freeze({id, slot, adUnit: state.adUnit, state});
+      entries[id] = entry;
+      if (onDestroy) destroyCallbacks[id] = onDestroy;
+
+      notify('register', entry);
+
+      return entry;
+    };
+
+    /**
+    * Removes a slot from the registry, without destroying it.
+    * @param {string} id The element ID of the slot.
+    */
+    dfpSlots.unregister = function(id) {
+      const entry = entries[id];
+      if (!entry) return;
+
+      delete entries[id];
+      delete destroyCallbacks[id];
+      notify('unregister', entry);
+    };
+
+    /**
+    * Tests if a slot is registered under an ID.
+    * @param  {string} id The element ID of the slot.
+    * @return {boolean} True if a slot is registered, else false.
+    */
+    dfpSlots.has = function(id) {
+      return id in entries;
+    };
+
+    /**
+    * Lists all live slots.
+    * @return {!Array<!Object>} The registry entries, each with the `id`,
+    *                           `slot`, `adUnit` and `state` of a slot.
+    */
+    dfpSlots.list = function() {
+      return Object.keys(entries).map(id => entries[id]);
+    };
+
+    /**
+    * Looks up a slot by its element ID.
+    * @param  {string} id The element ID of the slot.
+    * @return {?Object} The registry entry, or null if there is none.
+    */
+    dfpSlots.get = function(id) {
+      return entries[id] || null;
+    };
+
+    /**
+    * Looks up all slots for an ad unit.
+    * @param  {string} adUnit The ad unit path.
+    * @return {!Array<!Object>} The registry entries.
+    */
+    dfpSlots.getByAdUnit = function(adUnit) {
+      return dfpSlots.list().filter(entry => entry.adUnit === adUnit);
+    };
+
+    /**
+    * Returns the state of a slot's `dfp-ad` controller.
+    * @param  {string} id The element ID of the slot.
+    * @return {!Object} The frozen state.
+    * @throws {DFPSlotsError} If no slot is registered under the ID.
+    */
+    dfpSlots.getState = function(id) {
+      return entryFor(id).state;
+    };
+
+    /**
+    * Refreshes a slot through `dfpRefresh`.
+    * @param  {string} id The element ID of the slot.
+    * @return {Promise} A promise, resolved after the refresh call.
+    * @throws {DFPSlotsError} If no slot is registered under the ID.
+    */
+    dfpSlots.refresh = function(id) {
+      return dfpRefresh(entryFor(id).slot);
+    };
+
+    /**
+    * Destroys a slot and removes it from the registry.
+    * @param {string} id The element ID of the slot.
+    * @throws {DFPSlotsError} If no slot is registered under the ID.
+    */
+    dfpSlots.destroy = function(id) {
+      const slot = entryFor(id).slot;
+      const onDestroy = destroyCallbacks[id];
+
+      dfpRefresh.teardownSlot(slot);
+      dfpEvents.off(slot);
+      dfpViewability.forget(slot);
+      dfpSlots.unregister(id);
+
+      if (onDestroy) onDestroy(slot);
+
+      // Release resources allocated for the slot and assert
+      // that it really did destroy the slot
+      googletag.cmd.push(() => {
+        console.assert(googletag.destroySlots([slot]));
+      });
+    };
+
+    /**
+    * Sets (or, with empty values, clears) targeting on a slot.
+    *
+    * The targeting only applies to subsequent requests of the slot.
+    *
+    * @param {string} id The element ID of the slot.
+    * @param {string} key The targeting key.
+    * @param {?string|Array<string>} values The value or values. If null or
+    *                                empty, the key is cleared.
+    * @throws {DFPSlotsError} If no slot is registered under the ID.
+    */
+    dfpSlots.setTargeting = function(id, key, values) {
+      const slot = entryFor(id).slot;
+
+      googletag.cmd.push(() => {
+        if (values === null || values === undefined || values.length === 0) {
+          slot.clearTargeting(key);
+        } else {
+          slot.setTargeting(key, values);
+        }
+      });
+    };
+
+    /**
+    * Registers a function to call whenever the registry changes.
+    *
+    * The function is passed a `{type, id, entry}` object, where the type is
+    * either 'register' or 'unregister'.
+    *
+    * @param  {Function} listener The function to call.
+    * @return {Function} A function to deregister the listener.
+    */
+    dfpSlots.onChange = function(listener) {
+      listeners.push(listener);
+
+      return function() {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+      };
+    };
+
+    return dfpSlots;
+  }
+
+  module.factory('dfpSlots', [
+    '$rootScope',
+    'dfpRefresh',
+    'dfpEvents',
+    'dfpViewability',
+    dfpSlotsFactory
+  ]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -5,10 +5,14 @@
 * have certain values for certain keys. This directive enables adding one or
 * more such key/value pairs for an ad slot.
 *
-* The `dfp-targeting` directive must nested in a `dfp-ad` tag. It may then be
-* used either by directly passing a `key` and a `value` via attributes, or
-* alternatively by specifying only a `key` attribute and adding values via
-* nested `dfp-value` tags.
+* The `dfp-targeting` directive must nested in a `dfp-ad`, `dfp-passback`,
+* `dfp-video` or `dfp-outstream` tag. It may then be used either by directly
+* passing a `key` and a `value` via attributes, or alternatively by specifying
+* only a `key` attribute and adding values via nested `dfp-value` tags.
+*
+* The key and values are live-bound: when they change (e.g. because they are
+* interpolated), the targeting of the already defined slot is updated. With
+* the `refresh-on-change` attribute, the slot is then also refreshed.
 *
 * @example
 * <dfp-ad ad-unit="path/to/my/ad-unit">
@@ -17,6 +21,8 @@
 *     <dfp-value>chicken</dfp-value>
 *     <dfp-value>meatballs</dfp-value>
 *   </dfp-targeting>
+*   <dfp-targeting key="section" value="{{vm.section}}" refresh-on-change>
+*   </dfp-targeting>
 * </dfp-ad>
 *
 * @module dfp-targeting
@@ -46,26 +52,45 @@
   * This controller makes an `addValue` function available that allows the
   * `dfp-value` directive to add values for a single key attribute defined in
   * the directive.
+  * @param {!angular.JQLite} $element The element of the directive.
   * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
   * @private
   */
-  function dfpTargetingController(DFPIncompleteError) {
+  function dfpTargetingController($element, DFPIncompleteError) {
     /**
-    * The values of the targeting.
-    * @type {Array}
+    * The values added by nested `dfp-value` directives.
+    *
+    * Each value is held in a `{value}` object, so that it can be updated or
+    * removed when the nested directive's content changes.
+    * @type {Array<{value: string}>}
     */
-    const values = this.value ? [this.value] : [];
+    const holders = [];
+
+    /**
+    * Returns the current values of the targeting.
+    *
+    * Empty values (e.g. from bindings that are not yet resolved) are skipped.
+    * @return {!Array<string>} The values.
+    */
+    this.getValues = function() {
+      const values = this.value === undefined ? [] : [this.value];
+      holders.forEach(holder => values.push(holder.value));
+
+      return values.filter(value => value !== undefined && value !== '');
+    };
 
     /**
     * Verifies that the controller has a complete (valid) state.
     * @throws {DFPIncompleteError} If the directive is not complete.
     */
     this.checkValid = function() {
-      if (this.key === undefined) {
+      if (!this.key) {
         throw new DFPIncompleteError('dfp-targeting', 'key', true);
       }
 
-      if (values.length === 0) {
+      // Values may also be added later by nested (e.g. repeated) directives
+      const empty = !$element.html().trim();
+      if (this.value === undefined && holders.length === 0 && empty) {
         throw new DFPIncompleteError('dfp-targeting', 'value', true);
       }
     };
@@ -78,52 +103,117 @@
       this.checkValid();
       return Object.freeze({
         key: this.key,
-        values
+        values: this.getValues()
       });
     };
 
     /**
     * Adds a value for the key of the targeting.
     * @param {string} value The value to add for the key.
+    * @return {{value: string}} A handle to update or remove the value.
     */
     this.addValue = function(value) {
-      values.push(value);
+      const holder = {value};
+      holders.push(holder);
+
+      return holder;
+    };
+
+    /**
+    * Updates a value previously added.
+    * @param {{value: string}} holder The handle returned by `addValue`.
+    * @param {string} value The new value.
+    */
+    this.setValue = function(holder, value) {
+      holder.value = value;
+    };
+
+    /**
+    * Removes a value previously added.
+    * @param {{value: string}} holder The handle returned by `addValue`.
+    */
+    this.removeValue = function(holder) {
+      const index = holders.indexOf(holder);
+      if (index !== -1) holders.splice(index, 1);
     };
   }
 
   /**
   * The directive for `dfp-targeting` tags.
   *
-  * This directive requires to be nested in a `dfp-ad` tag. It may then be
-  * used either by directly passing a `key` and a `value` via attributes, or
-  * alternatively by specifying only a key and adding values via nested
-  * `dfp-value` tags.
+  * This directive requires to be nested in a `dfp-ad`, `dfp-passback`,
+  * `dfp-video` or `dfp-outstream` tag. It may then be used either by directly
+  * passing a `key` and a `value` via attributes, or alternatively by
+  * specifying only a key and adding values via nested `dfp-value` tags. Any
+  * change of the key or values is forwarded to the parent, which updates its
+  * slot.
   *
   * @private
   * @param {Object} scope The angular scope.
   * @param {Object} element The HTML element on which the directive is defined.
   * @param {Object} attributes The attributes of the element.
-  * @param {Object} ad The parent `dfp-ad` controller.
+  * @param {Array<Object>} parents The possible parent controllers.
+  * @param {Function} DFPMissingParentError The `DFPMissingParentError` service.
   */
-  function dfpTargetingDirective(scope, element, attributes, ad) {
-    console.assert(ad !== undefined);
+  function dfpTargetingDirective(scope,
+                                 element,
+                                 attributes,
+                                 parents,
+                                 DFPMissingParentError) {
+    const ad = parents.filter(Boolean)[0];
+
+    if (!ad) {
+      throw new DFPMissingParentError('dfp-targeting',
+                                      'dfp-ad',
+                                      'dfp-passback',
+                                      'dfp-video',
+                                      'dfp-outstream');
+    }
+
+    const refreshOnChange = attributes.refreshOnChange !== undefined;
 
     // Retrieve the state from the controller and add it to the parent
-    const targeting = scope.controller.getState();
+    let targeting = scope.controller.getState();
     ad.addTargeting(targeting);
+
+    // Watch the raw key and values, so that an incomplete state only throws
+    // once it changed rather than on every digest
+    scope.$watch(() => {
+      return {
+        key: scope.controller.key,
+        values: scope.controller.getValues()
+      };
+    }, (current, previous) => {
+      // The initial call of the listener
+      if (current === previous) return;
+
+      const state = scope.controller.getState();
+      ad.updateTargeting(targeting, state, refreshOnChange);
+      targeting = state;
+    }, true);
   }
 
-  module.directive('dfpTargeting', [function() {
-    return {
-      restrict: 'E',
-      require: '^^dfpAd', // require dfp-ad as parent
-      controller: ['DFPIncompleteError', dfpTargetingController],
-      controllerAs: 'controller',
-      bindToController: true,
-      scope: {key: '@', value: '@'},
-      link: dfpTargetingDirective
-    };
-  }]);
+  module.directive('dfpTargeting', [
+    'DFPMissingParentError',
+    function(DFPMissingParentError) {
+      return {
+        restrict: 'E',
+        require: [
+          '?^^dfpAd',
+          '?^^dfpPassback',
+          '?^^dfpVideo',
+          '?^^dfpOutstream'
+        ],
+        controller: ['$element', 'DFPIncompleteError', dfpTargetingController],
+        controllerAs: 'controller',
+        bindToController: true,
+        scope: {key: '@', value: '@'},
+        link: function(...args) {
+          args = args.slice(0, 4).concat(DFPMissingParentError);
+          dfpTargetingDirective.apply(null, args);
+        }
+      };
+    }]);
 
 // eslint-disable-next-line
 })(angularDfp);
@@ -5,13 +5,16 @@
 * when you want to supply more than one value for a key (if you only want one
 * key, just use the `key` attribute on `dfp-targeting`).
 *
-* The value itself is taken from the inner contents of the `dfp-value` tag.
+* The value itself is taken from the inner contents of the `dfp-value` tag,
+* which may be interpolated. Whenever the interpolated value changes, the
+* targeting of the slot is updated.
 *
 * @example <caption>Example usage of the `dfp-value` directive.</caption>
 * <dfp-ad ad-unit="/path/to/my/ad-unit">
 *   <dfp-targeting key="food">
 *     <dfp-value>spam</dfp-value>
 *     <dfp-value>ham</dfp-value>
+*     <dfp-value>{{vm.food}}</dfp-value>
 *   </dfp-targeting>
 * </dfp-ad>
 *
@@ -47,16 +50,32 @@
   * @param {Object} element The HTML element on which the directive is defined.
   * @param {Object} attributes The attributes of the element.
   * @param {Object} parent     The parent (`dfp-targeting`) controller.
+  * @param {Function} getValue The interpolation function of the contents.
   */
-  function dfpValueDirective(scope, element, attributes, parent) {
-    parent.addValue(element.html());
+  function dfpValueDirective(scope, element, attributes, parent, getValue) {
+    const holder = parent.addValue(getValue(scope));
+
+    scope.$watch(() => getValue(scope), value => {
+      parent.setValue(holder, value);
+    });
+
+    scope.$on('$destroy', () => {
+      parent.removeValue(holder);
+    });
   }
 
-  module.directive('dfpValue', [function() {
+  module.directive('dfpValue', ['$interpolate', function($interpolate) {
     return {
       restrict: 'E',
       require: '^^dfpTargeting',
-      link: dfpValueDirective
+      compile: function(templateElement) {
+        // Interpolate the raw contents, before any {{ }} are rendered
+        const getValue = $interpolate(templateElement.html());
+
+        return function(...args) {
+          dfpValueDirective.apply(null, args.slice(0, 4).concat(getValue));
+        };
+      }
     };
   }]);
 // eslint-disable-next-line
@@ -0,0 +1,577 @@
+/**
+* @file The player adapters used by the `dfp-video` directive.
+*
+* The `dfp-video` directive builds the ad tag, while the actual playback of
+* the video ad is left to a player adapter. Adapters for
+* [video.js]{@link http://videojs.com/} (with the videojs-ima plugin) and for
+* the plain [Google IMA SDK]{@link https://developers.google.com/interactive-media-ads/docs/sdks/html5}
+* on a `<video>` tag are built in. Further adapters, e.g. for other players,
+* are registered on the `dfpVideoProvider`.
+*
+* An adapter is an object with a `create(element, emit)` function, which
+* returns a session for the player of the element. The session must provide a
+* `requestAds(adTagUrl)` function and may provide a `destroy()` function,
+* which is called once the directive is destroyed, as well as `pause()` and
+* `resume()` functions for the playing ad (required by `dfp-outstream`) and a
+* `cancel()` function, which abandons the pending request and any ads, and
+* resumes the content (used once the time budget of a waterfall is spent).
+* Through `emit(type, details)`, the adapter reports the lifecycle of the
+* ads: `adStart`, `adComplete`, `adSkipped` and `contentResume` (with an
+* `{ad}` object of details, if any) and `adError` (with an `{error}` object).
+*
+* For click-to-play videos, the first `requestAds()` is called within the
+* user gesture, in which the adapter should initialize its ad display
+* container, as mobile browsers require.
+*
+* @example <caption>Registering a custom adapter.</caption>
+* angular.module('myApp', ['angularDfp'])
+*   .config(['dfpVideoProvider', dfpVideoProvider => {
+*     dfpVideoProvider.registerAdapter('myPlayer', ['$window', $window => ({
+*       create(element, emit) {
+*         const player = $window.myPlayer(element);
+*         player.on('adstart', () => emit('adStart', {}));
+*         return {
+*           requestAds: adTagUrl => player.playAd(adTagUrl),
+*           destroy: () => player.stopAd()
+*         };
+*       }
+*     })]);
+*
+*     dfpVideoProvider.defaultAdapter = 'myPlayer';
+*   }]);
+*
+* @module dfp-video-adapters
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-video-adapters */ function(module) {
+  'use strict';
+
+  /**
+  * An error thrown for unknown, invalid or misused player adapters.
+  * @private
+  */
+  class DFPVideoAdapterError extends Error {}
+
+  /**
+  * The URL to the Google IMA SDK we want to load asynchronously.
+  */
+  module.constant(
+    'IMA_SDK_URL',
+    '//imasdk.googleapis.com/js/sdkloader/ima3.js'
+  );
+
+  /**
+  * Tests that an adapter is used on a `<video>` tag.
+  * @param {!Element} element The element of the `dfp-video` directive.
+  * @param {string} name The name of the adapter.
+  * @throws {DFPVideoAdapterError} If the element is not a `<video>` tag.
+  * @private
+  */
+  function requireVideoElement(element, name) {
+    if (element.tagName !== 'VIDEO') {
+      throw new DFPVideoAdapterError(
+        `The '${name}' adapter of 'dfp-video' must be used on a <video> tag.`
+      );
+    }
+  }
+
+  /**
+  * Returns the details of an IMA `AdEvent`.
+  * @param  {!Object} event The `AdEvent`.
+  * @return {{ad: ?Object}} The details to emit.
+  * @private
+  */
+  function adDetails(event) {
+    return {ad: typeof event.getAd === 'function' ? event.getAd() : null};
+  }
+
+  /**
+  * Emits the IMA `AdEvent`s of the lifecycle of an ad.
+  * @param {!Object} ima The `google.ima` namespace.
+  * @param {Function} addEventListener Registers a listener for an event type.
+  * @param {Function} emit Reports the lifecycle of the ads.
+  * @private
+  */
+  function emitAdEvents(ima, addEventListener, emit) {
+    const types = ima.AdEvent.Type;
+
+    addEventListener(types.STARTED, event => {
+      emit('adStart', adDetails(event));
+    });
+
+    addEventListener(types.COMPLETE, event => {
+      emit('adComplete', adDetails(event));
+    });
+
+    addEventListener(types.SKIPPED, event => {
+      emit('adSkipped', adDetails(event));
+    });
+  }
+
+  /**
+  * The adapter for video.js players with the videojs-ima plugin.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @return {!Object} The adapter.
+  */
+  function videojsAdapterFactory($window) {
+    return {
+      create(element, emit) {
+        requireVideoElement(element, 'videojs');
+
+        const player = $window.videojs(element.id);
+        let initialized = false;
+        let manager = null;
+
+        /**
+        * Bridges the events of each ads manager the plugin loads, as the
+        * plugin only passes listeners on to a manager that exists already.
+        */
+        function listen() {
+          const ima = $window.google.ima;
+
+          manager = player.ima.getAdsManager();
+
+          emitAdEvents(ima, (type, listener) => {
+            manager.addEventListener(type, listener);
+          }, emit);
+
+          manager.addEventListener(
+            ima.AdEvent.Type.CONTENT_RESUME_REQUESTED,
+            event => emit('contentResume', adDetails(event))
+          );
+        }
+
+        /**
+        * Reports the ad errors of the plugin.
+        * @param {!Object} event The `adserror` event of the player.
+        */
+        function handleError(event) {
+          const data = event.data || {};
+          emit('adError', {error: data.AdError || null});
+        }
+
+        return {
+          requestAds(adTagUrl) {
+            if (initialized) {
+              player.ima.changeAdTag(adTagUrl);
+              player.ima.requestAds();
+              return;
+            }
+
+            initialized = true;
+
+            player.on('adserror', handleError);
+
+            // Register the video slot with the IMA SDK
+            player.ima({
+              id: element.id,
+              adTagUrl,
+              adsManagerLoadedCallback: listen
+            });
+            player.ima.requestAds();
+            player.ima.initializeAdDisplayContainer();
+          },
+
+          pause() {
+            player.ima.pauseAd();
+          },
+
+          resume() {
+            player.ima.resumeAd();
+          },
+
+          destroy() {
+            player.off('adserror', handleError);
+
+            if (manager) manager.destroy();
+            manager = null;
+          }
+        };
+      }
+    };
+  }
+
+  /**
+  * The adapter for the plain Google IMA SDK on a `<video>` tag.
+  *
+  * The ad container is placed over the video and the SDK is loaded on
+  * demand, unless it is on the page already.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @param {!angular.$q} $q The Angular `$q` service.
+  * @param {Function} scriptInjector The `scriptInjector` service.
+  * @param {string} IMA_SDK_URL The URL of the IMA SDK to inject.
+  * @return {!Object} The adapter.
+  */
+  function imaAdapterFactory($window, $q, scriptInjector, IMA_SDK_URL) {
+    /**
+    * The promise for the IMA SDK, once requested.
+    * @type {?angular.$q.Promise}
+    */
+    let sdk = null;
+
+    /**
+    * Loads the IMA SDK, unless it is loaded already.
+    * @return {!angular.$q.Promise} A promise resolved with `google.ima`.
+    */
+    function loadSdk() {
+      if ($window.google && $window.google.ima) {
+        return $q.resolve($window.google.ima);
+      }
+
+      sdk = sdk || scriptInjector(IMA_SDK_URL).then(() => $window.google.ima);
+
+      return sdk;
+    }
+
+    /**
+    * Creates the ad container over the video.
+    * @param  {!Element} element The video element.
+    * @return {!Element} The ad container.
+    */
+    function createContainer(element) {
+      const container = element.ownerDocument.createElement('div');
+
+      container.className = 'dfp-video-ad-container';
+      container.style.position = 'absolute';
+      container.style.top = `${element.offsetTop}px`;
+      container.style.left = `${element.offsetLeft}px`;
+      container.style.width = `${element.clientWidth}px`;
+      container.style.height = `${element.clientHeight}px`;
+
+      element.parentNode.insertBefore(container, element.nextSibling);
+
+      return container;
+    }
+
+    return {
+      create(element, emit) {
+        requireVideoElement(element, 'ima');
+
+        const container = createContainer(element);
+
+        let displayContainer = null;
+        let loader = null;
+        let manager = null;
+        let pausedForAd = false;
+        let initialized = false;
+        let cancelled = false;
+
+        // Load the SDK early, so that it is ready by the time of a click
+        loadSdk();
+
+        /**
+        * Resumes the content after an ad (break).
+        */
+        function resumeContent() {
+          if (!pausedForAd) return;
+          pausedForAd = false;
+
+          // Outstream players have no content to resume
+          if (element.currentSrc) {
+            // Autoplay policies may reject the playback
+            const playing = element.play();
+            if (playing) playing.catch(() => {});
+          }
+
+          emit('contentResume', {ad: null});
+        }
+
+        /**
+        * Discards the ads manager after an error and resumes the content.
+        * @param {!Object} event The `AdErrorEvent`.
+        */
+        function handleError(event) {
+          if (cancelled) return;
+
+          emit('adError', {error: event.getError()});
+
+          if (manager) manager.destroy();
+          manager = null;
+          resumeContent();
+        }
+
+        /**
+        * Notifies the SDK once the content ended, for any postrolls.
+        */
+        function handleContentEnded() {
+          if (loader) loader.contentComplete();
+        }
+
+        /**
+        * Starts the ads of a loaded ads manager.
+        * @param {!Object} ima The `google.ima` namespace.
+        * @param {!Object} event The `AdsManagerLoadedEvent`.
+        */
+        function startAds(ima, event) {
+          // The response came too late
+          if (cancelled) return;
+
+          manager = event.getAdsManager(element);
+
+          const types = ima.AdEvent.Type;
+
+          manager.addEventListener(types.CONTENT_PAUSE_REQUESTED, () => {
+            pausedForAd = true;
+            element.pause();
+          });
+
+          manager.addEventListener(types.CONTENT_RESUME_REQUESTED,
+                                   resumeContent);
+          manager.addEventListener(ima.AdErrorEvent.Type.AD_ERROR,
+                                   handleError);
+
+          emitAdEvents(ima, (type, listener) => {
+            manager.addEventListener(type, listener);
+          }, emit);
+
+          manager.init(element.clientWidth,
+                       element.clientHeight,
+                       ima.ViewMode.NORMAL);
+          manager.start();
+        }
+
+        /**
+        * Creates the display container and ads loader.
+        * @param {!Object} ima The `google.ima` namespace.
+        */
+        function setup(ima) {
+          displayContainer = new ima.AdDisplayContainer(container, element);
+          loader = new ima.AdsLoader(displayContainer);
+
+          loader.addEventListener(
+            ima.AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED,
+            event => startAds(ima, event)
+          );
+          loader.addEventListener(ima.AdErrorEvent.Type.AD_ERROR, handleError);
+
+          element.addEventListener('ended', handleContentEnded);
+        }
+
+        /**
+        * Initializes the display container, once.
+        * @param {!Object} ima The `google.ima` namespace.
+        */
+        function initialize(ima) {
+          if (loader === null) setup(ima);
+          if (initialized) return;
+
+          initialized = true;
+          displayContainer.initialize();
+        }
+
+        return {
+          requestAds(adTagUrl) {
+            cancelled = false;
+
+            // Mobile browsers only allow the initialization within a user
+            // gesture, i.e. before any promise settles
+            if ($window.google && $window.google.ima) {
+              initialize($window.google.ima);
+            }
+
+            loadSdk().then(ima => {
+              if (cancelled) return;
+
+              initialize(ima);
+
+              // A new request replaces the ads of the previous one
+              if (manager) manager.destroy();
+              manager = null;
+
+              const request = new ima.AdsRequest();
+              request.adTagUrl = adTagUrl;
+              request.linearAdSlotWidth = element.clientWidth;
+              request.linearAdSlotHeight = element.clientHeight;
+              request.nonLinearAdSlotWidth = element.clientWidth;
+              request.nonLinearAdSlotHeight = element.clientHeight;
+
+              loader.requestAds(request);
+            });
+          },
+
+          cancel() {
+            cancelled = true;
+
+            if (manager) manager.destroy();
+            manager = null;
+            resumeContent();
+          },
+
+          pause() {
+            if (manager) manager.pause();
+          },
+
+          resume() {
+            if (manager) manager.resume();
+          },
+
+          destroy() {
+            element.removeEventListener('ended', handleContentEnded);
+
+            if (manager) manager.destroy();
+            if (loader) loader.destroy();
+            if (displayContainer) displayContainer.destroy();
+
+            if (container.parentNode) {
+              container.parentNode.removeChild(container);
+            }
+          }
+        };
+      }
+    };
+  }
+
+  /**
+  * The provider for the `dfpVideo` service.
+  * @private
+  */
+  function dfpVideoProvider() {
+    /**
+    * Reference to the dfpVideoProvider.
+    * @type {Function}
+    */
+    const self = this;
+
+    /**
+    * The factories of the player adapters, by name.
+    * @type {!Object<string, Function|Array>}
+    */
+    /* eslint-disable quote-props */
+    const factories = {
+      'videojs': ['$window', videojsAdapterFactory],
+      'ima': [
+        '$window',
+        '$q',
+        'scriptInjector',
+        'IMA_SDK_URL',
+        imaAdapterFactory
+      ]
+    };
+    /* eslint-enable quote-props */
+
+    /**
+    * The name of the adapter used unless a `dfp-video` specifies another
+    * via its `player` attribute.
+    * @type {string}
+    */
+    self.defaultAdapter = 'videojs';
+
+    /**
+    * The default time budget of a waterfall of fallback ad tags, after which
+    * no further tags are tried.
+    * @type {string|number}
+    */
+    self.waterfallTimeout = '10s';
+
+    /**
+    * Registers a player adapter.
+    *
+    * @param {string} name The name of the adapter.
+    * @param {Function|Array} factory An injectable factory function returning
+    *                                 the adapter.
+    * @throws {DFPVideoAdapterError} If the name or factory is invalid.
+    */
+    self.registerAdapter = function(name, factory) {
+      if (!name || typeof name !== 'string') {
+        throw new DFPVideoAdapterError('Adapter name must be a string');
+      }
+
+      if (typeof factory !== 'function' && !Array.isArray(factory)) {
+        throw new DFPVideoAdapterError(
+          `Adapter '${name}' must be given as an injectable factory`
+        );
+      }
+
+      factories[name] = factory;
+    };
+
+    self.$get = ['$injector', 'parseDuration', function($injector,
+                                                        parseDuration) {
+      /**
+      * The adapters instantiated so far, by name.
+      * @type {!Object<string, !Object>}
+      */
+      const adapters = {};
+
+      /**
+      * The `dfpVideo` service.
+      */
+      const dfpVideo = {};
+
+      /**
+      * Returns the time budget of waterfalls.
+      * @param  {string=} attribute The `waterfall-timeout` of a directive.
+      * @return {number} The time budget, in milliseconds.
+      */
+      dfpVideo.getWaterfallTimeout = function(attribute) {
+        return parseDuration(attribute || self.waterfallTimeout);
+      };
+
+      /**
+      * Tests if an adapter is registered.
+      * @param  {string} name The name of the adapter.
+      * @return {boolean} True if registered, else false.
+      */
+      dfpVideo.hasAdapter = function(name) {
+        return factories.hasOwnProperty(name);
+      };
+
+      /**
+      * Returns an adapter, instantiating it on first use.
+      *
+      * @param  {string=} name The name of the adapter, or the default.
+      * @return {!Object} The adapter.
+      * @throws {DFPVideoAdapterError} If the adapter is unknown or invalid.
+      */
+      dfpVideo.getAdapter = function(name) {
+        name = name || self.defaultAdapter;
+
+        if (adapters.hasOwnProperty(name)) return adapters[name];
+
+        if (!dfpVideo.hasAdapter(name)) {
+          throw new DFPVideoAdapterError(
+            `Unknown dfp-video adapter '${name}'. Expected one of ` +
+            Object.keys(factories).join(', ')
+          );
+        }
+
+        const adapter = $injector.invoke(factories[name]);
+
+        if (!adapter || typeof adapter.create !== 'function') {
+          throw new DFPVideoAdapterError(
+            `The dfp-video adapter '${name}' has no create() function`
+          );
+        }
+
+        adapters[name] = adapter;
+
+        return adapter;
+      };
+
+      return dfpVideo;
+    }];
+  }
+
+  module.provider('dfpVideo', [dfpVideoProvider]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -0,0 +1,87 @@
+/**
+* @file Schedules an ad break of a video.
+*
+* A `dfp-video-break` tag, nested under a `dfp-video` directive, schedules an
+* ad break at an offset into the content. The offset is a duration as
+* understood by `parseDuration` (e.g. '30s' or '5min'), or 'start' or 'end'
+* for a preroll or postroll. Once any breaks are declared, they make up the
+* whole schedule of the video, so a preroll must then be declared as well.
+*
+* @example <caption>A preroll, a midroll after 30 seconds and a postroll.</caption>
+* <video dfp-video ad-unit="/path/to/my/video-unit">
+*   <dfp-size width="640" height="480"></dfp-size>
+*   <dfp-video-break offset="start"></dfp-video-break>
+*   <dfp-video-break offset="30s"></dfp-video-break>
+*   <dfp-video-break offset="end"></dfp-video-break>
+* </video>
+*
+* @module dfp-video-break
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-video-break */ function(module) {
+  'use strict';
+
+  /**
+  * The `dfp-video-break` directive.
+  *
+  * @private
+  * @param {Object} scope The angular scope.
+  * @param {Object} element The HTML element on which the directive is defined.
+  * @param {Object} attributes The attributes of the element.
+  * @param {Object} video The parent `dfp-video` controller.
+  * @param {Function} parseDuration The `parseDuration` service.
+  * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
+  */
+  function dfpVideoBreakDirective(scope,
+                                  element,
+                                  attributes,
+                                  video,
+                                  parseDuration,
+                                  DFPIncompleteError) {
+    const offset = scope.offset;
+
+    if (!offset) {
+      throw new DFPIncompleteError('dfp-video-break', 'offset', true);
+    }
+
+    if (offset === 'start') {
+      video.addBreak(0);
+    } else if (offset === 'end') {
+      video.addBreak(Infinity);
+    } else {
+      video.addBreak(parseDuration(offset));
+    }
+  }
+
+  module.directive('dfpVideoBreak', [
+    'parseDuration',
+    'DFPIncompleteError',
+    function(parseDuration, DFPIncompleteError) {
+      return {
+        restrict: 'E',
+        require: '^^dfpVideo',
+        scope: {offset: '@'},
+        link: function(...args) {
+          args = args.slice(0, 4).concat(parseDuration, DFPIncompleteError);
+          dfpVideoBreakDirective.apply(null, args);
+        }
+      };
+    }]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -0,0 +1,365 @@
+/**
+* @file Builds VAST ad tag URLs for video ads.
+*
+* Video ads are not requested through GPT, but by the video player from a
+* VAST ad tag URL. The `dfpVideoTag` service assembles such a URL from an ad
+* unit, sizes, key/value targeting, category exclusions and content IDs, and
+* adds the privacy state of the `dfp` service. It is used by the `dfp-video`
+* directive, but can just as well provide the ad tag for any other player.
+*
+* All ad tags share the correlator of the session, so that the ad server can
+* tell which requests belong to the same pageview.
+*
+* The `dfp-video-tag` directive, nested under a `dfp-video` directive, adds a
+* fallback ad tag to its waterfall. The fallback tags are tried in order when
+* the preceding tags return no ad, time out or exceed the wrapper limit.
+*
+* @example <caption>Building the ad tag for a custom player.</caption>
+* const adTagUrl = dfpVideoTag({
+*   adUnit: '/path/to/my/video-unit',
+*   sizes: [[640, 480]],
+*   targeting: {section: 'sports', tags: ['football', 'euro']},
+*   exclusions: ['airlines'],
+*   cmsid: '2494',
+*   vid: 'sports-recap-42',
+*   muted: true
+* });
+*
+* @example <caption>A waterfall of two fallback tags.</caption>
+* <video dfp-video ad-unit="/path/to/my/video-unit" waterfall-timeout="8s">
+*   <dfp-size width="640" height="480"></dfp-size>
+*   <dfp-video-tag ad-tag="https://partner.example/vast?id=1"></dfp-video-tag>
+*   <dfp-video-tag ad-tag="https://partner.example/vast?id=2"></dfp-video-tag>
+* </video>
+*
+* @module dfp-video-tag
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-video-tag */ function(module) {
+  'use strict';
+
+  /**
+  * An error thrown for an incomplete or invalid ad tag definition.
+  * @private
+  */
+  class DFPVideoTagError extends Error {}
+
+  /**
+  * The URL of the ad server for VAST requests.
+  * @type {string}
+  * @constant
+  * @private
+  */
+  const AD_SERVER_URL = 'https://pubads.g.doubleclick.net/gampad/ads';
+
+  /**
+  * The key of category exclusions in the custom parameters.
+  * @type {string}
+  * @constant
+  * @private
+  */
+  const EXCLUSION_KEY = 'excl_cat';
+
+  /**
+  * Formats a size as used by video ad tags.
+  * @param  {!Array<number>|string} size A `[width, height]` or string size.
+  * @return {string} The size as `<width>x<height>`.
+  * @private
+  */
+  function formatSize(size) {
+    return Array.isArray(size) ? `${size[0]}x${size[1]}` : String(size);
+  }
+
+  /**
+  * Normalizes targeting to a list of `{key, values}` objects.
+  *
+  * @param  {?Object|Array<!Object>} targeting Either an object of
+  *         `(key, value|[values])` or a list of `{key, values}` objects, as
+  *         collected by `dfp-targeting` directives.
+  * @return {!Array<{key: string, values: !Array<string>}>} The targeting.
+  * @private
+  */
+  function normalizeTargeting(targeting) {
+    if (!targeting) return [];
+
+    if (Array.isArray(targeting)) {
+      return targeting.filter(each => each.key && each.values.length > 0);
+    }
+
+    return Object.keys(targeting).map(key => {
+      const value = targeting[key];
+      return {key, values: Array.isArray(value) ? value : [value]};
+    });
+  }
+
+  /**
+  * The factory for the `dfpVideoTag` service.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @return {Function} The `dfpVideoTag` service.
+  */
+  function dfpVideoTagFactory($window) {
+    /**
+    * The correlator of the current pageview.
+    * @type {number}
+    */
+    let correlator = Date.now();
+
+    /**
+    * Builds a VAST ad tag URL.
+    *
+    * @param {!Object} options The ad tag options.
+    * @param {string} options.adUnit The full path of the video ad unit.
+    * @param {!Array} options.sizes The player sizes.
+    * @param {?Object|Array<!Object>=} options.targeting The key/values.
+    * @param {Array<string>=} options.exclusions Category exclusion labels.
+    * @param {string=} options.cmsid The content source ID.
+    * @param {string=} options.vid The video ID within the content source.
+    * @param {string=} options.descriptionUrl The URL describing the video,
+    *                                         defaulting to the page URL.
+    * @param {boolean=} options.muted Whether the player starts muted.
+    * @param {boolean=} options.autoplay Whether the player starts on its own,
+    *                                    rather than on a click.
+    * @param {number=} options.placement The placement of the video: 1 for
+    *                                    in-stream, 2 for accompanying content.
+    * @param {boolean=} options.adRules Whether to request a VMAP playlist of
+    *                                  the ad rules of the network.
+    * @param {string=} options.position The position of the ad break
+    *                                   ('preroll', 'midroll' or 'postroll').
+    * @param {number=} options.pod The number of the ad break in the content.
+    * @param {(string|number)=} options.correlator The correlator, defaulting
+    *                                              to that of the session.
+    * @param {Array<string>=} options.companionSizes The companion sizes.
+    * @param {Object=} options.privacy The privacy state of the `dfp` service.
+    * @param {Object=} options.parameters Any further parameters.
+    * @return {string} The ad tag URL.
+    * @throws {DFPVideoTagError} If the ad tag definition is incomplete.
+    */
+    function dfpVideoTag(options) {
+      if (!options.adUnit) {
+        throw new DFPVideoTagError('Missing ad unit for the video ad tag');
+      }
+
+      if (!options.sizes || options.sizes.length === 0) {
+        throw new DFPVideoTagError('Missing sizes for the video ad tag');
+      }
+
+      if (Boolean(options.cmsid) !== Boolean(options.vid)) {
+        throw new DFPVideoTagError(
+          'The cmsid and vid of the video ad tag must be given together'
+        );
+      }
+
+      const pageUrl = $window.location.href;
+
+      /* eslint-disable quote-props */
+      const parameters = {
+        'iu': options.adUnit,
+        'sz': options.sizes.map(formatSize).join('|'),
+        'gdfp_req': 1,
+        'env': 'vp',
+        'output': 'vast',
+        'unviewed_position_start': 1,
+        'url': pageUrl,
+        'description_url': options.descriptionUrl || pageUrl,
+        'correlator': options.correlator || correlator,
+        'cust_params': dfpVideoTag.customParameters(options.targeting,
+                                                    options.exclusions),
+        'cmsid': options.cmsid,
+        'vid': options.vid,
+        'vpos': options.position,
+        'pod': options.pod,
+        'plcmt': options.placement
+      };
+      /* eslint-enable quote-props */
+
+      /* eslint-disable dot-notation */
+      if (options.adRules !== undefined) {
+        parameters['ad_rule'] = options.adRules ? 1 : 0;
+      }
+
+      if (options.muted !== undefined) {
+        parameters['vpmute'] = options.muted ? 1 : 0;
+      }
+
+      if (options.autoplay !== undefined) {
+        parameters['vpa'] = options.autoplay ? 'auto' : 'click';
+      }
+
+      if (options.companionSizes && options.companionSizes.length > 0) {
+        parameters['ciu_szs'] = options.companionSizes.join(',');
+      }
+      /* eslint-enable dot-notation */
+
+      let url = dfpVideoTag.addParameters(AD_SERVER_URL, parameters);
+
+      if (options.privacy) {
+        const privacy = dfpVideoTag.privacyParameters(options.privacy);
+        url = dfpVideoTag.addParameters(url, privacy);
+      }
+
+      return dfpVideoTag.addParameters(url, options.parameters || {});
+    }
+
+    /**
+    * Returns the correlator of the current pageview.
+    * @return {number} The correlator.
+    */
+    dfpVideoTag.getCorrelator = function() {
+      return correlator;
+    };
+
+    /**
+    * Starts a new pageview, changing the correlator of subsequent ad tags.
+    */
+    dfpVideoTag.updateCorrelator = function() {
+      correlator = Math.max(Date.now(), correlator + 1);
+    };
+
+    /**
+    * Appends encoded parameters to a URL.
+    *
+    * @param  {string} url The URL.
+    * @param  {!Object} parameters The parameters. Those with a `null`,
+    *                              `undefined` or empty value are skipped.
+    * @return {string} The URL including the parameters.
+    */
+    dfpVideoTag.addParameters = function(url, parameters) {
+      const encoded = Object.keys(parameters)
+        .filter(name => {
+          const value = parameters[name];
+          return value !== null && value !== undefined && value !== '';
+        })
+        .map(name => {
+          const value = encodeURIComponent(parameters[name]);
+          return `${encodeURIComponent(name)}=${value}`;
+        });
+
+      if (encoded.length === 0) return url;
+
+      const separator = url.indexOf('?') === -1 ? '?' : '&';
+
+      return url + separator + encoded.join('&');
+    };
+
+    /**
+    * Serializes targeting and category exclusions as the `cust_params`.
+    *
+    * Keys and values are encoded individually, so that the separators within
+    * them survive the encoding of the parameter as a whole.
+    *
+    * @param  {?Object|Array<!Object>=} targeting The key/value targeting.
+    * @param  {Array<string>=} exclusions Category exclusion labels.
+    * @return {string} The (not yet URL-encoded) custom parameters.
+    */
+    dfpVideoTag.customParameters = function(targeting, exclusions) {
+      const pairs = normalizeTargeting(targeting);
+
+      if (exclusions && exclusions.length > 0) {
+        pairs.push({key: EXCLUSION_KEY, values: exclusions});
+      }
+
+      return pairs.map(pair => {
+        const values = pair.values.map(value => encodeURIComponent(value));
+        return `${encodeURIComponent(pair.key)}=${values.join(',')}`;
+      }).join('&');
+    };
+
+    /**
+    * Returns the ad tag parameters for the privacy state.
+    *
+    * Since video ads are not requested through GPT, the privacy state must be
+    * passed on explicitly, so that non-personalized (or limited) ads are
+    * served where required.
+    *
+    * @param  {!Object} privacy The privacy state of the `dfp` service.
+    * @return {!Object} The privacy parameters.
+    */
+    dfpVideoTag.privacyParameters = function(privacy) {
+      const parameters = {};
+
+      /* eslint-disable dot-notation */
+      if (privacy.nonPersonalizedAds) parameters['npa'] = 1;
+      if (privacy.restrictDataProcessing) parameters['rdp'] = 1;
+      if (privacy.limitedAds) parameters['ltd'] = 1;
+      if (privacy.underAgeOfConsent) parameters['tfua'] = 1;
+      if (privacy.childDirectedTreatment !== null) {
+        parameters['tfcd'] = privacy.childDirectedTreatment ? 1 : 0;
+      }
+
+      if (privacy.gdprApplies !== null) {
+        parameters['gdpr'] = privacy.gdprApplies ? 1 : 0;
+      }
+
+      if (privacy.tcString) parameters['gdpr_consent'] = privacy.tcString;
+      if (privacy.uspString) parameters['us_privacy'] = privacy.uspString;
+
+      if (privacy.gppString) {
+        parameters['gpp'] = privacy.gppString;
+        parameters['gpp_sid'] = privacy.gppSectionIds.join(',');
+      }
+      /* eslint-enable dot-notation */
+
+      return parameters;
+    };
+
+    return dfpVideoTag;
+  }
+
+  /**
+  * The `dfp-video-tag` directive.
+  *
+  * @private
+  * @param {Object} scope The angular scope.
+  * @param {Object} element The HTML element on which the directive is defined.
+  * @param {Object} attributes The attributes of the element.
+  * @param {Object} video The parent `dfp-video` controller.
+  * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
+  */
+  function dfpVideoTagDirective(scope,
+                                element,
+                                attributes,
+                                video,
+                                DFPIncompleteError) {
+    if (!scope.adTag) {
+      throw new DFPIncompleteError('dfp-video-tag', 'ad-tag', true);
+    }
+
+    video.addFallbackTag(scope.adTag);
+  }
+
+  module.factory('dfpVideoTag', ['$window', dfpVideoTagFactory]);
+
+  module.directive('dfpVideoTag', [
+    'DFPIncompleteError',
+    function(DFPIncompleteError) {
+      return {
+        restrict: 'E',
+        require: '^^dfpVideo',
+        // eslint-disable-next-line quote-props
+        scope: {'adTag': '@'},
+        link: function(...args) {
+          args = args.slice(0, 4).concat(DFPIncompleteError);
+          dfpVideoTagDirective.apply(null, args);
+        }
+      };
+    }]);
+
+// eslint-disable-next-line
+})(angularDfp);
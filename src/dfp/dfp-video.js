@@ -1,10 +1,49 @@
 /**
 * @file Enables video ads on a video element.
 *
-* This directive uses the [videojs]{@link http://videojs.com/} library to serve
-* video ads on an HTML5 video tag. The ad tag must be supplied as an attribute.
+* This directive serves video ads through a player adapter: by default the
+* [videojs]{@link http://videojs.com/} library with the IMA plugin on an HTML5
+* video tag, or any other adapter selected via the `player` attribute (see
+* [dfp-video-adapters]{@link module:dfp-video-adapters}). The ad tag is either supplied as a complete
+* `ad-tag` URL, or built by the `dfpVideoTag` service from an `ad-unit` and
+* nested `dfp-size`, `dfp-targeting` and `dfp-exclusion` tags (plus optional
+* `cmsid` and `vid` content IDs). Any `dfp-ad` slots declared as companions of
+* the video (via `companion-for`) are requested along with the video ad.
 *
-* TODO: example
+* By default, a single preroll is requested. Midrolls and postrolls are
+* scheduled with nested `dfp-video-break` tags, or, with the `ad-rules`
+* attribute, by the VMAP ad rules of the network. In `playlist` mode, fresh
+* ads are requested whenever the source of the video changes, while all
+* requests share the correlator of the session.
+*
+* Each request may fall back on further ad tags, given by nested
+* `dfp-video-tag` tags followed by any of the `fallback-tags` array. They are
+* tried in order whenever the preceding tag returns no ad, times out or
+* exceeds the wrapper limit, until the `waterfall-timeout` budget is spent.
+* The tag that filled is reported through `on-ad-fill` and `dfp:videoAdFill`.
+*
+* Before the first request, the `dfpAutoplay` service detects whether the
+* video may autoplay with sound, only muted (in which case it is muted) or only
+* on a click. The ad tag declares this through the `vpa`, `vpmute` and `plcmt`
+* parameters, and click-to-play videos only request their ads on the first
+* user gesture, in which the player can initialize its ad display container.
+* Autoplay is only tested for videos with an `autoplay` attribute.
+*
+* The lifecycle of the video ads is surfaced through the `on-ad-start`,
+* `on-ad-complete`, `on-ad-error` and `on-content-resume` expressions (with
+* the event available as `$event`) and broadcast on the `$rootScope` as
+* `dfp:videoAdStart`, `dfp:videoAdComplete`, `dfp:videoAdSkipped`,
+* `dfp:videoAdError`, `dfp:videoContentResume` and `dfp:videoAdFill`.
+*
+* @example <caption>A video ad built from nested directives.</caption>
+* <video id="myVideo" dfp-video ad-unit="/path/to/my/video-unit"
+*        cmsid="2494" vid="sports-recap-42"
+*        on-ad-start="vm.hideControls()"
+*        on-content-resume="vm.showControls()">
+*   <dfp-size width="640" height="480"></dfp-size>
+*   <dfp-targeting key="section" value="sports"></dfp-targeting>
+*   <dfp-exclusion>airlines</dfp-exclusion>
+* </video>
 *
 * @module dfp-video>
 * @license Apache
@@ -30,56 +69,695 @@ let angularDfpVideo = angular.module('angularDfp');
 (/** @lends module:dfp-video */ function(module) {
   'use strict';
 
+  /* eslint-disable quote-props */
+  /**
+  * The lifecycle events of video ads, mapped to the property of their
+  * expression attribute (if any).
+  * @type {!Object<string, ?string>}
+  * @constant
+  * @private
+  */
+  const VIDEO_EVENTS = Object.freeze({
+    'adStart': 'onAdStart',
+    'adComplete': 'onAdComplete',
+    'adSkipped': null,
+    'adError': 'onAdError',
+    'contentResume': 'onContentResume',
+    'adFill': 'onAdFill'
+  });
+  /* eslint-enable quote-props */
+
+  /**
+  * The VAST error codes after which the next ad tag of a waterfall is tried:
+  * wrapper timeout, wrapper limit, no ads after wrappers, media timeout and
+  * an empty VAST response.
+  * @type {!Array<number>}
+  * @constant
+  * @private
+  */
+  const FALLBACK_ERROR_CODES = Object.freeze([301, 302, 303, 402, 1009]);
+
   /**
-   * An Error class for the dfp-video directive.
-   */
-  class DFPVideoError extends Error { }
+  * The error reported when the time budget of a waterfall is spent before
+  * any of its ad tags returned an ad.
+  * @type {!Object}
+  * @constant
+  * @private
+  */
+  const WATERFALL_TIMEOUT_ERROR = Object.freeze({
+    code: null,
+    message: 'No ad was returned within the time budget of the waterfall'
+  });
+
+  /* eslint-disable quote-props */
+  /**
+  * The ways a video may start playing (as detected by `dfpAutoplay`), mapped
+  * to whether the video autoplays and to its placement. Muted autoplay only
+  * counts as accompanying content rather than as in-stream.
+  * @type {!Object<string, !Object>}
+  * @constant
+  * @private
+  */
+  const PLAYBACKS = Object.freeze({
+    'sound': Object.freeze({autoplay: true, placement: 1}),
+    'muted': Object.freeze({autoplay: true, placement: 2}),
+    'click': Object.freeze({autoplay: false, placement: 1})
+  });
+  /* eslint-enable quote-props */
+
+  /**
+  * Returns the VAST error code of an ad error.
+  * @param  {?Object} error The `AdError` of the IMA SDK, or any `{code}`.
+  * @return {?number} The error code, if known.
+  * @private
+  */
+  function errorCode(error) {
+    if (!error) return null;
+
+    if (typeof error.getErrorCode === 'function') return error.getErrorCode();
+
+    return error.code === undefined ? null : error.code;
+  }
+
+  /**
+  * The controller for the `dfp-video` directive.
+  * @param {Function} DFPIncompleteError The `DFPIncompleteError` service.
+  * @private
+  */
+  function dfpVideoController(DFPIncompleteError) {
+    /**
+    * The player sizes requested.
+    * @type {Array}
+    */
+    const sizes = [];
+
+    /**
+    * Any key/value targeting objects.
+    * @type {Array}
+    */
+    const targetings = [];
+
+    /**
+    * Any category exclusion labels.
+    * @type {Array}
+    */
+    const exclusions = [];
+
+    /**
+    * The offsets of any ad breaks, in milliseconds.
+    * @type {Array<number>}
+    */
+    const breaks = [];
+
+    /**
+    * The fallback ad tags of nested `dfp-video-tag` directives.
+    * @type {Array<string>}
+    */
+    const fallbackTags = [];
+
+    /* eslint-disable dot-notation */
+    /**
+    * Tests if the state of the directive is valid and complete.
+    *
+    * Either a complete ad tag, or an ad unit and sizes to build it from,
+    * must be given.
+    *
+    * @throws {DFPIncompleteError} If the ad tag definition is not complete.
+    */
+    this.checkValid = function() {
+      if (this['adTag']) return;
+
+      if (!this['adUnit']) {
+        throw new DFPIncompleteError('dfp-video', 'ad-unit', true);
+      }
+
+      if (sizes.length === 0) {
+        throw new DFPIncompleteError('dfp-video', 'dfp-size');
+      }
+    };
+
+    /**
+    * Returns the public state of the controller for use by the directive.
+    * @return {Object} An object of all properties the directive will
+    *                  need to build the ad tag.
+    */
+    this.getState = function() {
+      this.checkValid();
+      return Object.freeze({
+        sizes,
+        targetings,
+        exclusions,
+        breaks,
+        fallbackTags: fallbackTags.concat(this['fallbackTags'] || []),
+        waterfallTimeout: this['waterfallTimeout'],
+        adRules: this['adRules'] !== undefined,
+        playlist: this['playlist'] !== undefined,
+        adTag: this['adTag'],
+        adUnit: this['adUnit'],
+        cmsid: this['cmsid'],
+        vid: this['vid'],
+        descriptionUrl: this['descriptionUrl'],
+        player: this['player'],
+        onAdStart: this['onAdStart'],
+        onAdComplete: this['onAdComplete'],
+        onAdError: this['onAdError'],
+        onContentResume: this['onContentResume'],
+        onAdFill: this['onAdFill']
+      });
+    };
+    /* eslint-enable dot-notation */
+
+    /**
+    * Registers a player size for the video ad.
+    * @param {Array|string} size A [width, height] array or a string size.
+    */
+    this.addSize = function(size) {
+      sizes.push(size);
+    };
+
+    /**
+    * Registers a targeting object for the video ad.
+    * @param {Object} targeting A `{key, values}` object.
+    */
+    this.addTargeting = function(targeting) {
+      targetings.push(targeting);
+    };
+
+    /**
+    * Replaces a registered targeting object. The change applies to the
+    * next ad request.
+    *
+    * @param {!Object} previous The targeting object registered so far.
+    * @param {!Object} targeting The new `{key, values}` targeting object.
+    */
+    this.updateTargeting = function(previous, targeting) {
+      const index = targetings.indexOf(previous);
+      console.assert(index !== -1);
+      targetings[index] = targeting;
+    };
+
+    /**
+    * Registers a category exclusion for the video ad.
+    * @param {string} exclusion The category exclusion label.
+    */
+    this.addExclusion = function(exclusion) {
+      exclusions.push(exclusion);
+    };
+
+    /**
+    * Schedules an ad break.
+    * @param {number} offset The offset into the content, in milliseconds
+    *                        (`Infinity` for a postroll).
+    */
+    this.addBreak = function(offset) {
+      breaks.push(offset);
+    };
+
+    /**
+    * Adds a fallback ad tag to the waterfall.
+    * @param {string} adTag The complete ad tag URL.
+    */
+    this.addFallbackTag = function(adTag) {
+      fallbackTags.push(adTag);
+    };
+  }
 
   /**
   * The `dfp-video` directive.
   *
-  * This directive enables video ads to be shown over videos,
-  * using `videojs` and the IMA SDK.
+  * This directive enables video ads to be shown over videos, using the
+  * player adapter of the `dfpVideo` service.
   *
   * @private
   * @param {Object} scope The angular scope.
   * @param {Object} element The HTML element on which the directive is defined.
   * @param {Object} attributes The attributes of the element.
+  * @param {Object} controller The `dfpVideoController` object.
   * @param {Object} $injector The Angular '$injector' service.
   */
-  function dfpVideoDirective(scope, element, attributes, $injector) {
+  function dfpVideoDirective(scope, element, attributes, controller,
+                             $injector) {
+    const $rootScope = $injector.get('$rootScope');
+    const $timeout = $injector.get('$timeout');
+    const dfp = $injector.get('dfp');
     const dfpIDGenerator = $injector.get('dfpIDGenerator');
+    const dfpCompanions = $injector.get('dfpCompanions');
+    const dfpVideoTag = $injector.get('dfpVideoTag');
+    const dfpVideo = $injector.get('dfpVideo');
+    const dfpAutoplay = $injector.get('dfpAutoplay');
 
      // Unpack jQuery object
     element = element[0];
 
-    if (element.tagName !== 'VIDEO') {
-      throw new DFPVideoError(
-        "'dfp-video' directive must be attached to a <video> tag."
-      );
-    }
+    controller.checkValid();
 
      // Generate an ID or check for uniqueness of an existing one
     dfpIDGenerator(element);
 
-    // eslint-disable-next-line no-undef
-    const player = videojs(element.id);
+    /**
+    * Surfaces a lifecycle event reported by the player adapter.
+    *
+    * The event is broadcast on the `$rootScope` (e.g. as `dfp:videoAdStart`)
+    * and the matching expression attribute is evaluated with the event
+    * available as `$event`.
+    *
+    * @param {string} type The type of the event (e.g. 'adStart').
+    * @param {Object=} details The `{ad}`, `{error}` or `{tag, index}`
+    *                          details of the event.
+    */
+    function emit(type, details) {
+      console.assert(VIDEO_EVENTS.hasOwnProperty(type));
+
+      const event = Object.freeze(Object.assign({
+        type,
+        id: element.id,
+        ad: null,
+        error: null
+      }, details));
+
+      $rootScope.$evalAsync(() => {
+        const name = type.charAt(0).toUpperCase() + type.slice(1);
+        $rootScope.$broadcast(`dfp:video${name}`, event);
+
+        const property = VIDEO_EVENTS[type];
+        const expression = property && controller.getState()[property];
+        if (expression) expression({$event: event});
+      });
+    }
+
+    /**
+    * The session of the player adapter.
+    * @type {?Object}
+    */
+    let player = null;
+
+    /**
+    * The ad tags of the current request, with the progress through them and
+    * the timer of its time budget. Null once an ad started or the waterfall
+    * was given up.
+    * @type {?{tags: !Array<string>, index: number, deadline: number,
+    *          timer: !angular.$q.Promise}}
+    */
+    let waterfall = null;
+
+    /**
+    * Starts a waterfall through ad tags, with the first tag.
+    * @param {!Array<string>} tags The ad tag URLs.
+    * @param {number} budget The time budget, in milliseconds.
+    */
+    function startWaterfall(tags, budget) {
+      endWaterfall();
+
+      waterfall = {
+        tags,
+        index: 0,
+        deadline: Date.now() + budget,
+        timer: $timeout(expireWaterfall, budget, false)
+      };
+
+      player.requestAds(tags[0]);
+    }
+
+    /**
+    * Ends the current waterfall, if any, cancelling its time budget.
+    */
+    function endWaterfall() {
+      if (waterfall === null) return;
+
+      $timeout.cancel(waterfall.timer);
+      waterfall = null;
+    }
+
+    /**
+    * Gives up a waterfall whose time budget is spent, even if a request is
+    * still pending, so that the content is not blocked any longer.
+    */
+    function expireWaterfall() {
+      waterfall = null;
+
+      if (typeof player.cancel === 'function') {
+        player.cancel();
+      } else if (element.paused && element.currentSrc) {
+        const playing = element.play();
+        if (playing) playing.catch(() => {});
+      }
+
+      emit('adError', {error: WATERFALL_TIMEOUT_ERROR});
+    }
+
+    /**
+    * Requests the next ad tag of the waterfall after an ad error, unless no
+    * tags are left, the time budget is spent or the error is not one to fall
+    * back on.
+    *
+    * @param  {?Object} error The ad error.
+    * @return {boolean} True if the next ad tag was requested, else false.
+    */
+    function requestNextTag(error) {
+      if (waterfall === null) return false;
+      if (waterfall.index + 1 >= waterfall.tags.length) return false;
+      if (Date.now() >= waterfall.deadline) return false;
+      if (FALLBACK_ERROR_CODES.indexOf(errorCode(error)) === -1) return false;
+
+      waterfall.index += 1;
+      player.requestAds(waterfall.tags[waterfall.index]);
+
+      return true;
+    }
+
+    /**
+    * Handles the lifecycle events of the player adapter, walking the
+    * waterfall on errors and reporting the tag that filled.
+    *
+    * @param {string} type The type of the event.
+    * @param {Object=} details The details of the event.
+    */
+    function handleEvent(type, details) {
+      if (type === 'adError') {
+        // Only the error of the last tag tried is surfaced
+        if (requestNextTag(details && details.error)) return;
+
+        endWaterfall();
+      }
+
+      if (type === 'adStart' && waterfall !== null) {
+        emit('adFill', {
+          tag: waterfall.tags[waterfall.index],
+          index: waterfall.index
+        });
+
+        endWaterfall();
+      }
+
+      emit(type, details);
+    }
+
+    const adapter = dfpVideo.getAdapter(controller.getState().player);
+    player = adapter.create(element, handleEvent);
+
+    scope.$on('$destroy', () => {
+      endWaterfall();
+      if (typeof player.destroy === 'function') player.destroy();
+    });
+
+    /**
+    * The offsets of the ad breaks not yet played for the current content.
+    * @type {!Array<number>}
+    */
+    let pendingBreaks = [];
+
+    /**
+    * The number of ad breaks requested for the current content.
+    * @type {number}
+    */
+    let pod = 0;
+
+    /**
+    * The source of the current content.
+    * @type {?string}
+    */
+    let currentSource = element.currentSrc || element.src || null;
+
+    /**
+    * The promise for the playback of the video, once detected.
+    * @type {?angular.$q.Promise<!Object>}
+    */
+    let playback = null;
+
+    /**
+    * Whether the user interacted with the player yet.
+    * @type {boolean}
+    */
+    let gestureReceived = false;
+
+    /**
+    * The requests waiting for a user gesture.
+    * @type {!Array<Function>}
+    */
+    let awaitingGesture = [];
+
+    /**
+    * Calls back with the playback of the video, detecting it first.
+    * @param {Function} callback Called with an entry of `PLAYBACKS`.
+    */
+    function whenPlayable(callback) {
+      playback = playback || dfpAutoplay(element).then(mode => PLAYBACKS[mode]);
+      playback.then(callback);
+    }
+
+    /**
+    * Calls back right away, unless the video only plays on a click and the
+    * user did not interact with it yet, in which case the callback waits
+    * for the gesture.
+    *
+    * Mobile browsers only let the player initialize its ad display container
+    * (and play the ad) within a user gesture.
+    *
+    * @param {!Object} mode The playback of the video.
+    * @param {Function} callback The function to call.
+    */
+    function afterGesture(mode, callback) {
+      if (mode.autoplay || gestureReceived) {
+        callback();
+      } else {
+        awaitingGesture.push(callback);
+      }
+    }
+
+    /**
+    * Releases the requests waiting for the first user gesture, within it.
+    */
+    function handleGesture() {
+      if (gestureReceived) return;
+      gestureReceived = true;
+
+      const callbacks = awaitingGesture;
+      awaitingGesture = [];
+      callbacks.forEach(callback => callback());
+    }
+
+    /**
+    * Completes a hand-written ad tag, which only lacks the parameters known
+    * at runtime.
+    *
+    * @param  {string} adTag The ad tag URL.
+    * @param  {!Object} privacy The privacy state of the `dfp` service.
+    * @param  {!Object} adBreak The `{position, pod}` of the ad break, if any.
+    * @param  {!Object} mode The playback of the video.
+    * @param  {!Array<string>} companionSizes The companion sizes.
+    * @return {string} The complete ad tag URL.
+    */
+    function completeAdTag(adTag, privacy, adBreak, mode, companionSizes) {
+      const url = dfpVideoTag.addParameters(
+        adTag,
+        dfpVideoTag.privacyParameters(privacy)
+      );
+
+      /* eslint-disable quote-props */
+      const defaults = {
+        'correlator': dfpVideoTag.getCorrelator(),
+        'vpa': mode.autoplay ? 'auto' : 'click',
+        'vpmute': element.muted ? 1 : 0,
+        'plcmt': mode.placement
+      };
+      /* eslint-enable quote-props */
+
+      // Parameters written into the ad tag take precedence
+      Object.keys(defaults).forEach(name => {
+        if (new RegExp(`[?&]${name}=`).test(url)) delete defaults[name];
+      });
+
+      /* eslint-disable quote-props */
+      return dfpVideoTag.addParameters(url, Object.assign({
+        'ciu_szs': companionSizes.join(','),
+        'vpos': adBreak.position,
+        'pod': adBreak.pod
+      }, defaults));
+      /* eslint-enable quote-props */
+    }
+
+    /**
+    * Returns the ad tag URLs for the current state of the directive: the
+    * primary ad tag, followed by any fallback tags.
+    *
+    * @param  {!Object} privacy The privacy state of the `dfp` service.
+    * @param  {!Object} adBreak The `{position, pod}` of the ad break, if any.
+    * @param  {!Object} mode The playback of the video.
+    * @return {!Array<string>} The ad tag URLs.
+    */
+    function buildAdTagUrls(privacy, adBreak, mode) {
+      const video = controller.getState();
+
+      // Request the companions along with the video ad
+      const companionSizes = dfpCompanions.getSizes(element.id);
+
+      const fallbacks = video.fallbackTags.map(tag => {
+        return completeAdTag(tag, privacy, adBreak, mode, companionSizes);
+      });
+
+      if (video.adTag) {
+        const url = completeAdTag(video.adTag, privacy, adBreak, mode,
+                                  companionSizes);
+        return [url].concat(fallbacks);
+      }
+
+      const url = dfpVideoTag({
+        adUnit: video.adUnit,
+        sizes: video.sizes,
+        targeting: video.targetings,
+        exclusions: video.exclusions,
+        cmsid: video.cmsid,
+        vid: video.vid,
+        descriptionUrl: video.descriptionUrl,
+        adRules: video.adRules || undefined,
+        position: adBreak.position,
+        pod: adBreak.pod,
+        // The detection settled whether the video is muted
+        muted: element.muted,
+        autoplay: mode.autoplay,
+        placement: mode.placement,
+        companionSizes,
+        privacy
+      });
+
+      return [url].concat(fallbacks);
+    }
+
+    /**
+    * Requests the video ads (and any companions) through the player, once
+    * the playback of the video as well as the consent and privacy signals
+    * are known, and, for click-to-play, once the user interacted.
+    * @param {?string=} position The position of the ad break, if scheduled.
+    */
+    function requestAds(position) {
+      if (position) pod += 1;
+
+      const adBreak = position ? {position, pod} : {};
+
+      whenPlayable(mode => {
+        dfp.whenPrivacyReady(privacy => {
+          const video = controller.getState();
+          const tags = buildAdTagUrls(privacy, adBreak, mode);
+          const timeout = dfpVideo.getWaterfallTimeout(video.waterfallTimeout);
+
+          afterGesture(mode, () => startWaterfall(tags, timeout));
+        });
+      });
+    }
+
+    /**
+    * Starts the ad schedule of new content.
+    *
+    * Without declared breaks (or with ad rules, which schedule the breaks
+    * on the ad server), a single request is made right away.
+    */
+    function startContent() {
+      const video = controller.getState();
+
+      pod = 0;
+      pendingBreaks = video.adRules ? [] : video.breaks.slice();
+      pendingBreaks.sort((a, b) => a - b);
+
+      if (pendingBreaks.length === 0) {
+        requestAds();
+      } else if (pendingBreaks[0] === 0) {
+        pendingBreaks.shift();
+        requestAds('preroll');
+      }
+    }
+
+    /**
+    * Requests a midroll once the content passes the offset of a break.
+    *
+    * If several offsets were passed at once (e.g. by seeking), only one
+    * break is played.
+    */
+    function handleTimeUpdate() {
+      const time = element.currentTime * 1000;
+      let due = false;
+
+      while (pendingBreaks.length > 0 && pendingBreaks[0] <= time) {
+        pendingBreaks.shift();
+        due = true;
+      }
+
+      if (due) requestAds('midroll');
+    }
+
+    /**
+    * Requests the postroll, if any, once the content ended.
+    */
+    function handleEnded() {
+      const last = pendingBreaks.length - 1;
+      if (last === -1 || pendingBreaks[last] !== Infinity) return;
+
+      pendingBreaks = [];
+      requestAds('postroll');
+    }
+
+    /**
+    * Restarts the ad schedule in playlist mode when the content changes.
+    */
+    function handleLoadStart() {
+      const source = element.currentSrc || element.src || null;
+      if (source === currentSource) return;
+
+      const isFirstSource = currentSource === null;
+      currentSource = source;
+
+      if (!isFirstSource && controller.getState().playlist) startContent();
+    }
+
+    element.addEventListener('timeupdate', handleTimeUpdate);
+    element.addEventListener('ended', handleEnded);
+    element.addEventListener('loadstart', handleLoadStart);
+    element.addEventListener('click', handleGesture);
+    element.addEventListener('touchend', handleGesture);
+    element.addEventListener('play', handleGesture);
+
+    scope.$on('$destroy', () => {
+      element.removeEventListener('timeupdate', handleTimeUpdate);
+      element.removeEventListener('ended', handleEnded);
+      element.removeEventListener('loadstart', handleLoadStart);
+      element.removeEventListener('click', handleGesture);
+      element.removeEventListener('touchend', handleGesture);
+      element.removeEventListener('play', handleGesture);
+      awaitingGesture = [];
+    });
 
-     // Register the video slot with the IMA SDK
-     // eslint-disable-next-line dot-notation
-    player.ima({id: element.id, adTagUrl: scope['adTag']});
-    player.ima.requestAds();
-    player.ima.initializeAdDisplayContainer();
+    // Companion slots register when they are linked, which may be after
+    // this directive, so wait for the rest of the template first
+    scope.$evalAsync(startContent);
   }
 
   module.directive('dfpVideo', ['$injector', function($injector) {
     return {
       restrict: 'A',
-      // eslint-disable-next-line quote-props
-      scope: {'adTag': '@'},
+      controller: ['DFPIncompleteError', dfpVideoController],
+      controllerAs: 'controller',
+      bindToController: true,
       link: function(...args) {
-        dfpVideoDirective.apply(null, args.slice(0, 3).concat($injector));
+        dfpVideoDirective.apply(null, args.slice(0, 4).concat($injector));
+      },
+      /* eslint-disable quote-props */
+      scope: {
+        'adTag': '@',
+        'adUnit': '@',
+        'cmsid': '@',
+        'vid': '@',
+        'descriptionUrl': '@',
+        'player': '@',
+        'adRules': '@',
+        'playlist': '@',
+        'fallbackTags': '=?',
+        'waterfallTimeout': '@',
+        'onAdStart': '&?',
+        'onAdComplete': '&?',
+        'onAdError': '&?',
+        'onContentResume': '&?',
+        'onAdFill': '&?'
       }
+      /* eslint-enable quote-props */
     };
   }]);
 
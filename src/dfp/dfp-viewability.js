@@ -0,0 +1,218 @@
+/**
+* @file Tracks how long each ad slot has been in view.
+*
+* The `dfpViewability` service measures, per slot, the time its ad has been in
+* view since it was last rendered. A slot is in view while at least half of it
+* is visible (as reported by GPT's `slotVisibilityChanged` and
+* `impressionViewable` events) and the page itself is visible. This allows
+* `dfpRefresh` to only refresh slots that were actually seen.
+*
+* @example <caption>Reading the time a slot has been in view.</caption>
+* dfpViewability();
+* // ...
+* dfpViewability.getTimeInView('leaderboard'); // e.g. 12000 (milliseconds)
+*
+* @module dfp-viewability
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:dfp-viewability */ function(module) {
+  'use strict';
+
+  /**
+  * The factory for the `dfpViewability` service.
+  *
+  * @private
+  * @param {!angular.Scope} $rootScope The Angular `$rootScope` service.
+  * @param {Function} $interval The Angular `$interval` service.
+  * @param {!angular.JQLite} $document The Angular `$document` service.
+  * @return {Function} The `dfpViewability` service.
+  */
+  function dfpViewabilityFactory($rootScope, $interval, $document) {
+    /**
+    * The resolution at which time in view is measured, in milliseconds.
+    * @type {number}
+    * @constant
+    */
+    const TICK = 1000;
+
+    /**
+    * The percentage of a slot that must be visible for it to be in view.
+    * @type {number}
+    * @constant
+    */
+    const IN_VIEW_PERCENTAGE = 50;
+
+    /**
+    * The viewability records, keyed by slot element ID.
+    * @type {!Object<string, !Object>}
+    */
+    const records = {};
+
+    /**
+    * The functions to call whenever time in view was measured.
+    * @type {!Array<Function>}
+    */
+    const listeners = [];
+
+    /**
+    * Whether we are tracking viewability yet.
+    * @type {boolean}
+    */
+    let tracking = false;
+
+    /**
+    * Returns the element ID for a slot or ID.
+    * @param  {!googletag.Slot|string} slot A slot or its element ID.
+    * @return {string} The element ID.
+    */
+    function idOf(slot) {
+      return typeof slot === 'string' ? slot : slot.getSlotElementId();
+    }
+
+    /**
+    * Returns the record of a slot, creating it if necessary.
+    * @param  {!googletag.Slot|string} slot A slot or its element ID.
+    * @return {!Object} The `{inView, timeInView}` record.
+    */
+    function recordFor(slot) {
+      const id = idOf(slot);
+      records[id] = records[id] || {inView: false, timeInView: 0};
+      return records[id];
+    }
+
+    /**
+    * Tests if the page is hidden (e.g. in a background tab).
+    * @return {boolean} True if the page is hidden, else false.
+    */
+    function pageIsHidden() {
+      return Boolean($document[0].hidden);
+    }
+
+    /**
+    * Adds a tick to the time in view of all slots in view.
+    */
+    function tick() {
+      if (pageIsHidden()) return;
+
+      Object.keys(records).forEach(id => {
+        if (records[id].inView) records[id].timeInView += TICK;
+      });
+
+      listeners.forEach(listener => listener());
+    }
+
+    /**
+    * The `dfpViewability` service.
+    *
+    * Starts tracking viewability. This is idempotent and called by
+    * `dfpRefresh` when viewability-aware refreshing is enabled.
+    */
+    function dfpViewability() {
+      if (tracking) return;
+      tracking = true;
+
+      $rootScope.$on('dfp:slotVisibilityChanged', (_, event) => {
+        recordFor(event.slot).inView =
+          event.inViewPercentage >= IN_VIEW_PERCENTAGE;
+      });
+
+      // Only fired once the slot was in view for a second
+      $rootScope.$on('dfp:impressionViewable', (_, event) => {
+        recordFor(event.slot).inView = true;
+      });
+
+      // Time in view counts from the last render
+      $rootScope.$on('dfp:slotRenderEnded', (_, event) => {
+        recordFor(event.slot).timeInView = 0;
+      });
+
+      $interval(tick, TICK, 0, false);
+    }
+
+    /**
+    * Tests if viewability is being tracked.
+    * @return {boolean} True if tracking, else false.
+    */
+    dfpViewability.isTracking = function() {
+      return tracking;
+    };
+
+    /**
+    * Tests if a slot is currently in view.
+    * @param  {!googletag.Slot|string} slot The slot or its element ID.
+    * @return {boolean} True if in view, else false.
+    */
+    dfpViewability.isInView = function(slot) {
+      const record = records[idOf(slot)];
+      return Boolean(record && record.inView) && !pageIsHidden();
+    };
+
+    /**
+    * Returns the time a slot has been in view since it was last rendered.
+    * @param  {!googletag.Slot|string} slot The slot or its element ID.
+    * @return {number} The time in view, in milliseconds.
+    */
+    dfpViewability.getTimeInView = function(slot) {
+      const record = records[idOf(slot)];
+      return record ? record.timeInView : 0;
+    };
+
+    /**
+    * Restarts measuring the time in view of a slot, e.g. when it is about to
+    * be refreshed.
+    * @param {!googletag.Slot|string} slot The slot or its element ID.
+    */
+    dfpViewability.resetTimeInView = function(slot) {
+      const record = records[idOf(slot)];
+      if (record) record.timeInView = 0;
+    };
+
+    /**
+    * Discards the record of a slot, e.g. when it was destroyed.
+    * @param {!googletag.Slot|string} slot The slot or its element ID.
+    */
+    dfpViewability.forget = function(slot) {
+      delete records[idOf(slot)];
+    };
+
+    /**
+    * Registers a function to call whenever time in view was measured.
+    * @param  {Function} listener The function to call.
+    * @return {Function} A function to deregister the listener.
+    */
+    dfpViewability.onTick = function(listener) {
+      listeners.push(listener);
+
+      return function() {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+      };
+    };
+
+    return dfpViewability;
+  }
+
+  module.factory('dfpViewability', [
+    '$rootScope',
+    '$interval',
+    '$document',
+    dfpViewabilityFactory
+  ]);
+
+// eslint-disable-next-line
+})(angularDfp);
@@ -26,6 +26,15 @@ googletag.cmd = googletag.cmd || [];
 
   class DFPConfigurationError extends Error {}
 
+  /**
+  * A root margin as understood by the `IntersectionObserver`: one to four
+  * lengths in pixels or percentages.
+  * @type {RegExp}
+  * @constant
+  * @private
+  */
+  const ROOT_MARGIN = /^-?\d*\.?\d+(px|%)(\s+-?\d*\.?\d+(px|%)){0,3}$/;
+
   /**
   * The URL to the GPT library we want to load asynchronously.
   */
@@ -34,6 +43,18 @@ googletag.cmd = googletag.cmd || [];
     '//www.googletagservices.com/tag/js/gpt.js'
   );
 
+  /**
+  * The URL to the GPT library serving limited ads.
+  *
+  * This version of the library does not use cookies or other local storage
+  * and is loaded instead of the regular library when limited ads are enabled
+  * at the time the library is injected.
+  */
+  module.constant(
+    'LIMITED_ADS_GPT_LIBRARY_URL',
+    '//pagead2.googlesyndication.com/tag/js/gpt.js'
+  );
+
   /**
   * The provider for the doubleClick service.
   *
@@ -42,8 +63,10 @@ googletag.cmd = googletag.cmd || [];
   * proxy to `googletag.cmd.push`.
   *
   * @param {string} GPT_LIBRARY_URL The URL of the GPT library to inject.
+  * @param {string} LIMITED_ADS_GPT_LIBRARY_URL The URL of the limited ads
+  *                 GPT library to inject.
   */
-  function dfpProvider(GPT_LIBRARY_URL) {
+  function dfpProvider(GPT_LIBRARY_URL, LIMITED_ADS_GPT_LIBRARY_URL) {
     /**
     * The doubleClickProvider function.
     * @type {Function}
@@ -58,6 +81,14 @@ googletag.cmd = googletag.cmd || [];
     */
     self.enableVideoAds = true;
 
+    /**
+    * Whether GPT should refresh companion slots that were not filled along
+    * with a video ad.
+    * @type {!boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/doubleclick-gpt/reference#googletag.CompanionAdsService_setRefreshUnfilledSlots}
+    */
+    self.refreshUnfilledCompanions = true;
+
     /**
     * Whether to collapse empty divs for which ad calls fail.
     * @type {boolean}
@@ -120,6 +151,83 @@ googletag.cmd = googletag.cmd || [];
     */
     self.safeFrameConfig = null;
 
+    /**
+    * Whether to enable single request architecture (SRA).
+    *
+    * With SRA, all slots refreshed together are requested in a single call,
+    * which enables competitive exclusions and roadblocks across them. The
+    * `dfpRefresh` service then batches all slots scheduled for a refresh in
+    * the same digest or tick into one refresh call.
+    *
+    * @type {boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/doubleclick-gpt/reference#googletag.PubAdsService_enableSingleRequest}
+    */
+    self.singleRequest = false;
+
+    /**
+    * Whether to request non-personalized ads only.
+    * @type {boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/publisher-tag/reference#googletag.PrivacySettingsConfig}
+    */
+    self.nonPersonalizedAds = false;
+
+    /**
+    * Whether ads should be treated as child-directed (COPPA).
+    *
+    * If null, no treatment is set either way.
+    *
+    * @type {?boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/publisher-tag/reference#googletag.PrivacySettingsConfig}
+    */
+    self.childDirectedTreatment = null;
+
+    /**
+    * Whether to mark ad requests as coming from users under the age of
+    * consent (TFUA).
+    * @type {boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/publisher-tag/reference#googletag.PrivacySettingsConfig}
+    */
+    self.underAgeOfConsent = false;
+
+    /**
+    * Whether to enable restricted data processing (RDP).
+    * @type {boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/publisher-tag/reference#googletag.PrivacySettingsConfig}
+    */
+    self.restrictDataProcessing = false;
+
+    /**
+    * Whether to serve limited ads.
+    *
+    * If enabled when the GPT library is injected, the limited ads version of
+    * the library is loaded.
+    *
+    * @type {boolean}
+    * @see [GPT Reference]{@link https://developers.google.com/publisher-tag/reference#googletag.PrivacySettingsConfig}
+    */
+    self.limitedAds = false;
+
+    /**
+    * Whether ad slots should be lazy-loaded by default.
+    *
+    * If true, slots are only defined and requested once their container
+    * approaches the viewport. Individual slots may opt out with
+    * `lazy-load="false"`.
+    *
+    * @type {boolean}
+    */
+    self.lazyLoad = false;
+
+    /**
+    * The default root margin for lazy-loaded slots.
+    *
+    * This is the distance from the viewport at which a lazy-loaded slot is
+    * requested, in the syntax of the `IntersectionObserver`'s `rootMargin`.
+    *
+    * @type {string}
+    */
+    self.lazyLoadMargin = '200px';
+
     /**
     * Whether to download the GPT library.
     * @type {!boolean}
@@ -132,6 +240,18 @@ googletag.cmd = googletag.cmd || [];
     */
     let loaded = false;
 
+    /**
+    * Whether or not the `dfp` service was initialized yet.
+    * @type {!boolean}
+    */
+    let initialized = false;
+
+    /**
+    * The keys of the current page-level targeting.
+    * @type {!Array<string>}
+    */
+    let pageTargetingKeys = [];
+
     /**
     * Handles the safe-frame configuration.
     * @param {googletag.PubAdsService} pubads The googletag pubads service.
@@ -194,66 +314,338 @@ googletag.cmd = googletag.cmd || [];
       pubads.setPublisherProvidedId(self.ppid);
     }
 
+    /**
+    * The names of the privacy settings.
+    * @type {!Array<string>}
+    * @constant
+    */
+    const PRIVACY_SETTINGS = Object.freeze([
+      'nonPersonalizedAds',
+      'childDirectedTreatment',
+      'underAgeOfConsent',
+      'restrictDataProcessing',
+      'limitedAds'
+    ]);
+
+    /**
+    * Updates the privacy settings of the provider.
+    * @param {!Object} settings An object of (some) privacy settings.
+    * @throws {DFPConfigurationError} If a setting is not known.
+    */
+    function updatePrivacy(settings) {
+      if (typeof settings !== 'object') {
+        throw new DFPConfigurationError('Privacy settings must be an object');
+      }
+
+      for (let key in settings) {
+        if (!settings.hasOwnProperty(key)) continue;
+        if (PRIVACY_SETTINGS.indexOf(key) === -1) {
+          throw new DFPConfigurationError(`Unknown privacy setting '${key}'`);
+        }
+
+        self[key] = settings[key];
+      }
+    }
+
     // Fear not this syntax, my son!
-    this.$get = ['scriptInjector', scriptInjector => {
-      /**
-      * Sets up the GPT and DFP services.
-      */
-      function setup() {
-        const pubads = googletag.pubads();
-
-        if (self.enableVideoAds) {
-          pubads.enableVideoAds();
+    this.$get = [
+      'scriptInjector',
+      'dfpEvents',
+      'dfpConsent',
+      'dfpPrivacySignals',
+      'dfpRefresh',
+      (scriptInjector, dfpEvents, dfpConsent, dfpPrivacySignals,
+       dfpRefresh) => {
+        /**
+        * Returns the effective privacy state.
+        *
+        * This combines the privacy settings of the provider with those
+        * derived from the user's consent and the US Privacy and GPP signals,
+        * if enabled. The raw signal strings are included, so that other
+        * requests (e.g. for video ads) can pass them on.
+        *
+        * @return {!Object} The frozen privacy state.
+        */
+        function getPrivacy() {
+          const consent = dfpConsent.getState() || {};
+          const signals = dfpPrivacySignals.getState() || {};
+
+          return Object.freeze({
+            nonPersonalizedAds: self.nonPersonalizedAds ||
+                                Boolean(consent.nonPersonalizedAds),
+            childDirectedTreatment: self.childDirectedTreatment,
+            underAgeOfConsent: self.underAgeOfConsent,
+            restrictDataProcessing: self.restrictDataProcessing ||
+                                    Boolean(signals.optOut),
+            limitedAds: self.limitedAds || Boolean(consent.limitedAds),
+            gdprApplies: consent.gdprApplies === undefined ?
+                         null :
+                         consent.gdprApplies,
+            tcString: consent.tcString || null,
+            uspString: signals.uspString || null,
+            gppString: signals.gppString || null,
+            gppSectionIds: signals.gppSectionIds || []
+          });
         }
 
-        if (self.collapseIfEmpty) {
-          pubads.collapseEmptyDivs();
+        /**
+        * Calls the task once the privacy state is known.
+        *
+        * This is the case once the user's consent and the privacy signals
+        * were read (or immediately, if neither is enabled).
+        *
+        * @param {Function} task The function to call with the privacy state.
+        */
+        function whenPrivacyReady(task) {
+          dfpConsent(() => dfpPrivacySignals(() => task(getPrivacy())));
         }
 
-        // We always refresh ourselves
-        pubads.disableInitialLoad();
-        pubads.setForceSafeFrame(self.forceSafeFrame);
-        pubads.setCentering(self.centering);
+        /**
+        * Applies the privacy state to the pubads service.
+        * @param {googletag.PubAdsService} pubads The googletag pubads service.
+        */
+        function addPrivacy(pubads) {
+          const privacy = getPrivacy();
+
+          /* eslint-disable quote-props */
+          pubads.setPrivacySettings({
+            'nonPersonalizedAds': privacy.nonPersonalizedAds,
+            'childDirectedTreatment': privacy.childDirectedTreatment,
+            'underAgeOfConsent': privacy.underAgeOfConsent,
+            'restrictDataProcessing': privacy.restrictDataProcessing,
+            'limitedAds': privacy.limitedAds
+          });
+          /* eslint-enable quote-props */
+
+          // Older versions of the library only know this flag
+          if (typeof pubads.setRequestNonPersonalizedAds === 'function') {
+            pubads.setRequestNonPersonalizedAds(
+              privacy.nonPersonalizedAds ? 1 : 0
+            );
+          }
+        }
 
-        addLocation(pubads);
-        addPPID(pubads);
-        addTargeting(pubads);
-        addSafeFrameConfig(pubads);
+        /**
+        * Sets up the GPT and DFP services.
+        */
+        function setup() {
+          const pubads = googletag.pubads();
+
+          if (self.enableVideoAds) {
+            pubads.enableVideoAds();
+            googletag.companionAds()
+              .setRefreshUnfilledSlots(self.refreshUnfilledCompanions);
+          }
+
+          if (self.collapseIfEmpty) {
+            pubads.collapseEmptyDivs();
+          }
+
+          if (self.singleRequest) {
+            pubads.enableSingleRequest();
+          }
+
+          // We always refresh ourselves
+          pubads.disableInitialLoad();
+          pubads.setForceSafeFrame(self.forceSafeFrame);
+          pubads.setCentering(self.centering);
+
+          addLocation(pubads);
+          addPPID(pubads);
+          addTargeting(pubads);
+          addSafeFrameConfig(pubads);
+          addPrivacy(pubads);
+
+          // Bridge slot events into Angular before any ad is requested
+          dfpEvents(pubads);
+
+          googletag.enableServices();
+        }
 
-        googletag.enableServices();
-      }
+        /**
+        * Re-applies the privacy settings to the pubads service.
+        */
+        function reapplyPrivacy() {
+          googletag.cmd.push(() => { addPrivacy(googletag.pubads()); });
+        }
 
-      /**
-     * The configuration function called to initialize the doubleClick service.
-     */
-      function dfp() {
-        googletag.cmd.push(setup);
+        // Re-apply the privacy settings whenever the consent or signals change
+        dfpConsent.onChange(reapplyPrivacy);
+        dfpPrivacySignals.onChange(reapplyPrivacy);
 
-        if (self.loadGPT) {
-          scriptInjector(GPT_LIBRARY_URL).then(() => {
-            loaded = true;
-          });
+        // With SRA, slots defined together should be requested together
+        if (self.singleRequest) {
+          dfpRefresh.setBatching(true);
         }
-      }
 
-      /**
-     * Tests if the GPT library has been injected yet.
-     * @return {boolean} [description]
-     */
-      dfp.hasLoaded = function() {
-        return loaded;
-      };
-
-      /**
-     * Pushes a taks into GPT's asynchronous task queue.
-     * @param  {Function} task The task function to execute in the queue.
-     */
-      dfp.then = function(task) {
-        googletag.cmd.push(task);
-      };
-
-      return dfp;
-    }];
+        /**
+        * The configuration function called to initialize the doubleClick service.
+        *
+        * Only the first call has an effect, so that the service is not set
+        * up twice when a directive (such as `dfp-passback`) initialized it
+        * already.
+        */
+        function dfp() {
+          if (initialized) return;
+          initialized = true;
+          googletag.cmd.push(setup);
+
+          if (self.loadGPT) {
+            // Only load GPT (and thereby run the setup) once the consent and
+            // privacy signals are known (if enabled)
+            whenPrivacyReady(privacy => {
+              const url = privacy.limitedAds ?
+                          LIMITED_ADS_GPT_LIBRARY_URL :
+                          GPT_LIBRARY_URL;
+
+              scriptInjector(url).then(() => {
+                loaded = true;
+              });
+            });
+          }
+        }
+
+        /**
+        * Tests if the GPT library has been injected yet.
+        * @return {boolean} [description]
+        */
+        dfp.hasLoaded = function() {
+          return loaded;
+        };
+
+        /**
+        * Tests if the `dfp` service was initialized (called) yet.
+        * @return {boolean} True if initialized, else false.
+        */
+        dfp.isInitialized = function() {
+          return initialized;
+        };
+
+        /**
+        * Replaces the page-level targeting.
+        *
+        * Any keys set by the previous call are cleared (and the global
+        * targeting of the provider is re-applied, in case it was
+        * overridden) before the new key/values are set. This is useful for
+        * single-page applications, where each view is a virtual pageview.
+        *
+        * @param {?Object=} targeting An object of `(key, value|[values])`.
+        * @throws {DFPConfigurationError} If the targeting is not an object.
+        */
+        dfp.setPageTargeting = function(targeting) {
+          targeting = targeting || {};
+          if (typeof targeting !== 'object') {
+            throw new DFPConfigurationError('Targeting must be an object');
+          }
+
+          const previousKeys = pageTargetingKeys;
+          pageTargetingKeys = Object.keys(targeting);
+
+          googletag.cmd.push(() => {
+            const pubads = googletag.pubads();
+
+            previousKeys.forEach(key => { pubads.clearTargeting(key); });
+            addTargeting(pubads);
+
+            pageTargetingKeys.forEach(key => {
+              pubads.setTargeting(key, targeting[key]);
+            });
+          });
+        };
+
+        /**
+        * Returns the current privacy state.
+        *
+        * The state combines the privacy settings configured on the provider
+        * (or via `setPrivacy`) with those derived from the user's consent.
+        *
+        * @return {!Object} The frozen privacy state.
+        */
+        dfp.getPrivacy = getPrivacy;
+
+        /**
+        * Calls a function once the privacy state is known.
+        *
+        * Use this before firing any request outside of GPT, so that the
+        * user's consent and opt-outs can be respected.
+        *
+        * @param {Function} task The function to call with the privacy state.
+        */
+        dfp.whenPrivacyReady = whenPrivacyReady;
+
+        /**
+        * Changes privacy settings at runtime.
+        *
+        * The settings are applied to the pubads service right away. Because
+        * they only affect subsequent ad requests, slots can optionally be
+        * refreshed through `dfpRefresh`.
+        *
+        * @example
+        * dfp.setPrivacy({nonPersonalizedAds: true}, true);
+        *
+        * @param {!Object} settings Any of `nonPersonalizedAds`,
+        *                  `childDirectedTreatment`, `underAgeOfConsent`,
+        *                  `restrictDataProcessing` and `limitedAds`.
+        * @param {boolean|Array<!googletag.Slot>=} refresh True to refresh all
+        *                  slots, or the slots to refresh.
+        * @throws {DFPConfigurationError} If a setting is not known.
+        */
+        dfp.setPrivacy = function(settings, refresh) {
+          updatePrivacy(settings);
+
+          googletag.cmd.push(() => {
+            const pubads = googletag.pubads();
+            addPrivacy(pubads);
+
+            if (!refresh) return;
+
+            const slots = Array.isArray(refresh) ? refresh : pubads.getSlots();
+            slots.forEach(slot => { dfpRefresh(slot); });
+          });
+        };
+
+        /**
+        * Returns the lazy-loading root margin for a slot.
+        *
+        * @param  {string=} attribute The value of a slot's `lazy-load`
+        *                   attribute. Undefined if not set on the slot, in
+        *                   which case the provider default applies.
+        * @return {?string} The root margin, or null if the slot should not be
+        *                   lazy-loaded.
+        * @throws {DFPConfigurationError} If the attribute is neither a
+        *                                 boolean nor a root margin.
+        */
+        dfp.getLazyLoadMargin = function(attribute) {
+          if (attribute === undefined) {
+            return self.lazyLoad ? self.lazyLoadMargin : null;
+          }
+
+          const margin = attribute.trim();
+
+          if (margin === 'false') return null;
+
+          // A bare `lazy-load` (or `lazy-load="true"`) uses the default margin
+          if (margin === '' || margin === 'true') return self.lazyLoadMargin;
+
+          if (!ROOT_MARGIN.test(margin)) {
+            throw new DFPConfigurationError(
+              `Invalid lazy-load margin '${attribute}', expected e.g. '200px'`
+            );
+          }
+
+          return margin;
+        };
+
+        /**
+        * Pushes a taks into GPT's asynchronous task queue.
+        * @param  {Function} task The task function to execute in the queue.
+        */
+        dfp.then = function(task) {
+          googletag.cmd.push(task);
+        };
+
+        return dfp;
+      }];
   }
 
   /**
@@ -262,7 +654,11 @@ googletag.cmd = googletag.cmd || [];
    */
   window.googletag = googletag;
 
-  module.provider('dfp', ['GPT_LIBRARY_URL', dfpProvider]);
+  module.provider('dfp', [
+    'GPT_LIBRARY_URL',
+    'LIMITED_ADS_GPT_LIBRARY_URL',
+    dfpProvider
+  ]);
 
 // eslint-disable-next-line
 })(angularDfp);
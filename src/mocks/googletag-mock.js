@@ -0,0 +1,575 @@
+/**
+* @file An in-memory `googletag` for unit tests.
+*
+* The directives and services of the library talk directly to the global
+* `googletag` object. The `dfpGoogletagMock` service replaces it with a fake
+* implementation covering `defineSlot`, `defineOutOfPageSlot`, `pubads`,
+* `companionAds`, `sizeMapping`, `destroySlots`, `display`, `enableServices`
+* and the `cmd` queue, which records every call made to it. Tests can then
+* fire synthetic GPT events and flush the timers of `dfpRefresh`, so that
+* everything runs offline.
+*
+* Loading the `angularDfpMocks` module installs the fake and keeps the `dfp`
+* service from injecting the real GPT library.
+*
+* @example <caption>Testing a component using dfp-ad.</caption>
+* beforeEach(module('myApp', 'angularDfpMocks'));
+*
+* it('hides the ad when empty', inject(($compile,
+*                                        $rootScope,
+*                                        dfpGoogletagMock) => {
+*   const element = $compile('<my-ad id="ad"></my-ad>')($rootScope);
+*   $rootScope.$digest();
+*
+*   expect(dfpGoogletagMock.getCalls('defineSlot').length).toBe(1);
+*
+*   dfpGoogletagMock.fireRenderEnded('ad', {isEmpty: true});
+*   dfpGoogletagMock.flush('30s');
+* }));
+*
+* @module googletag-mock
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:googletag-mock */ function(module) {
+  'use strict';
+
+  /**
+  * An error thrown by the `dfpGoogletagMock` service.
+  * @private
+  */
+  class DFPGoogletagMockError extends Error {}
+
+  /**
+  * The methods of fake slots that only record their call and return the slot.
+  * @type {!Array<string>}
+  * @constant
+  * @private
+  */
+  const SLOT_SETTERS = Object.freeze([
+    'addService',
+    'setCollapseEmptyDiv',
+    'setForceSafeFrame',
+    'setSafeFrameConfig',
+    'setClickUrl',
+    'defineSizeMapping',
+    'setCategoryExclusion',
+    'clearCategoryExclusions'
+  ]);
+
+  /**
+  * The methods of the fake pubads service that only record their call.
+  * @type {!Array<string>}
+  * @constant
+  * @private
+  */
+  const PUBADS_SETTERS = Object.freeze([
+    'enableSingleRequest',
+    'enableVideoAds',
+    'collapseEmptyDivs',
+    'disableInitialLoad',
+    'setCentering',
+    'setForceSafeFrame',
+    'setSafeFrameConfig',
+    'setLocation',
+    'setPublisherProvidedId',
+    'setPrivacySettings',
+    'setRequestNonPersonalizedAds',
+    'updateCorrelator'
+  ]);
+
+  /**
+  * The factory for the `dfpGoogletagMock` service.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @param {!angular.Scope} $rootScope The Angular `$rootScope` service.
+  * @param {Function} $interval The Angular `$interval` service.
+  * @param {Function} $timeout The Angular `$timeout` service.
+  * @param {Function} parseDuration The `parseDuration` service.
+  * @return {!Object} The `dfpGoogletagMock` service.
+  */
+  function dfpGoogletagMockFactory($window, $rootScope, $interval, $timeout,
+                                   parseDuration) {
+    /**
+    * The calls recorded, in order.
+    * @type {!Array<!Object>}
+    */
+    let calls = [];
+
+    /**
+    * The live (not destroyed) fake slots.
+    * @type {!Array<!Object>}
+    */
+    let slots = [];
+
+    /**
+    * The event listeners registered with the fake pubads service, by event.
+    * @type {!Object<string, !Array<Function>>}
+    */
+    let listeners = {};
+
+    /**
+    * The page-level targeting set on the fake pubads service.
+    * @type {!Object<string, !Array<string>>}
+    */
+    let pageTargeting = {};
+
+    /**
+    * The out-of-page formats the fake refuses, as GPT does for formats the
+    * page or device does not support.
+    * @type {!Array<number>}
+    */
+    let refusedFormats = [];
+
+    /**
+    * The fake `googletag`, if installed.
+    * @type {?Object}
+    */
+    let fake = null;
+
+    /**
+    * Records a call.
+    * @param {string} method The name of the method (e.g. 'pubads.refresh').
+    * @param {!Array} args The arguments passed.
+    * @param {Object=} slot The fake slot called, if any.
+    */
+    function record(method, args, slot) {
+      calls.push(Object.freeze({method, args, slot: slot || null}));
+    }
+
+    /**
+    * Normalizes a targeting value to an array of strings.
+    * @param  {string|!Array<string>} values The value or values.
+    * @return {!Array<string>} The values.
+    */
+    function toValues(values) {
+      return [].concat(values).map(String);
+    }
+
+    /**
+    * Creates a fake `googletag.Slot`.
+    * @param  {string} adUnit The ad unit path.
+    * @param  {!Array} sizes The sizes of the slot.
+    * @param  {string} id The ID of the slot's element.
+    * @return {!Object} The fake slot.
+    */
+    function createSlot(adUnit, sizes, id) {
+      const targeting = {};
+      const slot = {};
+
+      SLOT_SETTERS.forEach(method => {
+        slot[method] = function(...args) {
+          record(`slot.${method}`, args, slot);
+          return slot;
+        };
+      });
+
+      slot.setTargeting = function(key, values) {
+        record('slot.setTargeting', [key, values], slot);
+        targeting[key] = toValues(values);
+        return slot;
+      };
+
+      slot.clearTargeting = function(key) {
+        record('slot.clearTargeting', key === undefined ? [] : [key], slot);
+        if (key === undefined) {
+          Object.keys(targeting).forEach(each => delete targeting[each]);
+        } else {
+          delete targeting[key];
+        }
+        return slot;
+      };
+
+      slot.getTargeting = key => targeting[key] || [];
+      slot.getTargetingKeys = () => Object.keys(targeting);
+      slot.getSlotElementId = () => id;
+      slot.getAdUnitPath = () => adUnit;
+      slot.getSizes = () => sizes;
+
+      return slot;
+    }
+
+    /**
+    * Creates the fake `googletag.pubads()` service.
+    * @return {!Object} The fake pubads service.
+    */
+    function createPubads() {
+      const pubads = {};
+
+      PUBADS_SETTERS.forEach(method => {
+        pubads[method] = function(...args) {
+          record(`pubads.${method}`, args);
+          return pubads;
+        };
+      });
+
+      pubads.setTargeting = function(key, values) {
+        record('pubads.setTargeting', [key, values]);
+        pageTargeting[key] = toValues(values);
+        return pubads;
+      };
+
+      pubads.clearTargeting = function(key) {
+        record('pubads.clearTargeting', key === undefined ? [] : [key]);
+        if (key === undefined) {
+          pageTargeting = {};
+        } else {
+          delete pageTargeting[key];
+        }
+        return pubads;
+      };
+
+      pubads.getTargeting = key => pageTargeting[key] || [];
+      pubads.getTargetingKeys = () => Object.keys(pageTargeting);
+      pubads.getSlots = () => slots.slice();
+
+      pubads.refresh = function(slotsToRefresh, options) {
+        const args = slotsToRefresh === undefined ? [] : [slotsToRefresh];
+        if (options !== undefined) args.push(options);
+        record('pubads.refresh', args);
+      };
+
+      pubads.addEventListener = function(eventName, listener) {
+        record('pubads.addEventListener', [eventName, listener]);
+        (listeners[eventName] = listeners[eventName] || []).push(listener);
+        return pubads;
+      };
+
+      return pubads;
+    }
+
+    /**
+    * Creates a fake `googletag.SizeMappingBuilder`.
+    * @return {!Object} The fake builder.
+    */
+    function createSizeMappingBuilder() {
+      const mapping = [];
+
+      return {
+        addSize(viewportSize, slotSizes) {
+          mapping.push([viewportSize, slotSizes]);
+          return this;
+        },
+        build() {
+          return mapping.slice();
+        }
+      };
+    }
+
+    /**
+    * Creates the fake `googletag` object.
+    * @return {!Object} The fake `googletag`.
+    */
+    function createGoogletag() {
+      const pubads = createPubads();
+
+      const companionAds = {
+        setRefreshUnfilledSlots(value) {
+          record('companionAds.setRefreshUnfilledSlots', [value]);
+        }
+      };
+
+      // Once "loaded", commands run as soon as they are pushed
+      const cmd = {
+        push(...commands) {
+          commands.forEach(command => command());
+          return commands.length;
+        }
+      };
+
+      const googletag = {
+        cmd,
+        apiReady: true,
+        pubadsReady: true,
+        pubads: () => pubads,
+        companionAds: () => companionAds,
+        sizeMapping() {
+          record('sizeMapping', []);
+          return createSizeMappingBuilder();
+        },
+        defineSlot(adUnit, sizes, id) {
+          record('defineSlot', [adUnit, sizes, id]);
+          const slot = createSlot(adUnit, sizes, id);
+          slots.push(slot);
+          return slot;
+        },
+        defineOutOfPageSlot(adUnit, divOrFormat) {
+          record('defineOutOfPageSlot', [adUnit, divOrFormat]);
+
+          if (refusedFormats.indexOf(divOrFormat) !== -1) return null;
+
+          // GPT creates the containers of formats itself
+          const id = typeof divOrFormat === 'string' ?
+                     divOrFormat :
+                     `gpt_unit_${adUnit}_${slots.length}`;
+
+          const slot = createSlot(adUnit, [], id);
+          slots.push(slot);
+          return slot;
+        },
+        enums: {
+          OutOfPageFormat: Object.freeze({
+            TOP_ANCHOR: 2,
+            BOTTOM_ANCHOR: 3,
+            REWARDED: 4,
+            INTERSTITIAL: 5,
+            LEFT_SIDE_RAIL: 8,
+            RIGHT_SIDE_RAIL: 9
+          })
+        },
+        destroySlots(slotsToDestroy) {
+          record('destroySlots', slotsToDestroy === undefined ?
+                                 [] : [slotsToDestroy]);
+          const destroyed = slotsToDestroy || slots.slice();
+          slots = slots.filter(slot => destroyed.indexOf(slot) === -1);
+          return true;
+        },
+        display(divOrSlot) {
+          record('display', [divOrSlot]);
+        },
+        enableServices() {
+          record('enableServices', []);
+        }
+      };
+
+      return googletag;
+    }
+
+    /**
+    * Returns the installed fake, throwing if there is none.
+    * @return {!Object} The fake `googletag`.
+    */
+    function ensureInstalled() {
+      if (!fake) {
+        throw new DFPGoogletagMockError('The googletag mock is not installed');
+      }
+
+      return fake;
+    }
+
+    /**
+    * Looks up a live fake slot.
+    * @param  {string|!Object} slotOrId A fake slot or its element ID.
+    * @return {!Object} The fake slot.
+    * @throws {DFPGoogletagMockError} If there is no such slot.
+    */
+    function getSlot(slotOrId) {
+      if (typeof slotOrId !== 'string') return slotOrId;
+
+      const slot = slots.filter(each => {
+        return each.getSlotElementId() === slotOrId;
+      })[0];
+
+      if (!slot) {
+        throw new DFPGoogletagMockError(`No slot defined for ID '${slotOrId}'`);
+      }
+
+      return slot;
+    }
+
+    /**
+    * Installs the fake as `window.googletag`.
+    *
+    * Commands queued on an existing `googletag.cmd` array are run. Any
+    * previous recording is discarded.
+    *
+    * @return {!Object} The fake `googletag`.
+    */
+    function install() {
+      const existing = $window.googletag;
+      const pending = (existing && Array.isArray(existing.cmd)) ?
+                      existing.cmd : [];
+
+      reset();
+      slots = [];
+      refusedFormats = [];
+      listeners = {};
+      pageTargeting = {};
+
+      fake = createGoogletag();
+      $window.googletag = fake;
+
+      // The commands may well use the global, so it must be the fake first
+      pending.forEach(command => command());
+
+      return fake;
+    }
+
+    /**
+    * Replaces the fake with an empty `googletag` whose commands are queued.
+    */
+    function uninstall() {
+      fake = null;
+      $window.googletag = {cmd: []};
+    }
+
+    /**
+    * Makes the fake refuse out-of-page formats, so that
+    * `defineOutOfPageSlot` returns null for them.
+    * @param {!Array<string>} formats The names of the formats, as in
+    *                         `googletag.enums.OutOfPageFormat`.
+    */
+    function refuseFormats(formats) {
+      const enums = ensureInstalled().enums.OutOfPageFormat;
+      refusedFormats = formats.map(format => enums[format]);
+    }
+
+    /**
+    * Returns the calls recorded.
+    * @param  {string=} method Only return calls of this method.
+    * @return {!Array<!Object>} The `{method, args, slot}` calls.
+    */
+    function getCalls(method) {
+      if (method === undefined) return calls.slice();
+      return calls.filter(call => call.method === method);
+    }
+
+    /**
+    * Discards the calls recorded so far.
+    */
+    function reset() {
+      calls = [];
+    }
+
+    /**
+    * Fires a synthetic GPT event for a slot.
+    *
+    * The listeners registered with the fake pubads service are called and,
+    * unless a digest is in progress, a digest is run so that handlers
+    * dispatched by `dfpEvents` execute.
+    *
+    * @param  {string} eventName The GPT event name (e.g. 'slotOnload').
+    * @param  {string|!Object} slotOrId The slot or its element ID.
+    * @param  {Object=} properties Further properties of the event.
+    * @return {!Object} The event passed to listeners.
+    */
+    function fire(eventName, slotOrId, properties) {
+      ensureInstalled();
+
+      // eslint-disable-next-line no-undef
+      const event = angular.extend({
+        slot: getSlot(slotOrId),
+        serviceName: 'publisher_ads'
+      }, properties);
+
+      (listeners[eventName] || []).forEach(listener => listener(event));
+
+      if (!$rootScope.$$phase) $rootScope.$digest();
+
+      return event;
+    }
+
+    /**
+    * Fires a synthetic slotRenderEnded event.
+    * @param  {string|!Object} slotOrId The slot or its element ID.
+    * @param  {Object=} properties Overrides of the event properties. By
+    *                   default, the slot is filled with its first size.
+    * @return {!Object} The event passed to listeners.
+    */
+    function fireRenderEnded(slotOrId, properties) {
+      const slot = getSlot(slotOrId);
+      const sizes = slot.getSizes ? slot.getSizes() : [];
+      const size = Array.isArray(sizes[0]) ? sizes[0] : sizes;
+      const isEmpty = Boolean(properties && properties.isEmpty);
+
+      // eslint-disable-next-line no-undef
+      return fire('slotRenderEnded', slot, angular.extend({
+        isEmpty,
+        size: isEmpty ? null : size,
+        creativeId: isEmpty ? null : 1,
+        lineItemId: isEmpty ? null : 1,
+        advertiserId: isEmpty ? null : 1,
+        isBackfill: false
+      }, properties));
+    }
+
+    /**
+    * Fires a synthetic impressionViewable event.
+    * @param  {string|!Object} slotOrId The slot or its element ID.
+    * @return {!Object} The event passed to listeners.
+    */
+    function fireImpressionViewable(slotOrId) {
+      return fire('impressionViewable', slotOrId);
+    }
+
+    /**
+    * Flushes the timers of `dfpRefresh` (and any other `$interval` and
+    * `$timeout` timers).
+    *
+    * Like `$interval.flush`, this moves time forward by the given duration,
+    * running any intervals elapsing. Pending timeouts, such as those of
+    * batched refresh calls, are flushed as well. Requires ngMock.
+    *
+    * @param {string|number=} duration The time to move forward (anything
+    *                         valid for `parseDuration`), if any.
+    * @throws {DFPGoogletagMockError} If ngMock is not loaded.
+    */
+    function flush(duration) {
+      if (typeof $interval.flush !== 'function') {
+        throw new DFPGoogletagMockError('Flushing timers requires ngMock');
+      }
+
+      $interval.flush(duration === undefined ? 0 : parseDuration(duration));
+
+      // Throws if there is nothing to flush
+      try {
+        $timeout.flush();
+      } catch (error) {
+        if (!/No deferred tasks/.test(error.message)) throw error;
+      }
+    }
+
+    /* eslint-disable quote-props */
+    return {
+      'install': install,
+      'uninstall': uninstall,
+      'isInstalled': () => fake !== null,
+      'getCalls': getCalls,
+      'reset': reset,
+      'refuseFormats': refuseFormats,
+      'getSlot': getSlot,
+      'getSlots': () => slots.slice(),
+      'getPageTargeting': key => pageTargeting[key] || [],
+      'fire': fire,
+      'fireRenderEnded': fireRenderEnded,
+      'fireImpressionViewable': fireImpressionViewable,
+      'flush': flush
+    };
+    /* eslint-enable quote-props */
+  }
+
+  module.factory('dfpGoogletagMock', [
+    '$window',
+    '$rootScope',
+    '$interval',
+    '$timeout',
+    'parseDuration',
+    dfpGoogletagMockFactory
+  ]);
+
+  // Everything runs offline
+  module.config(['dfpProvider', dfpProvider => {
+    dfpProvider.loadGPT = false;
+  }]);
+
+  module.run(['dfpGoogletagMock', dfpGoogletagMock => {
+    dfpGoogletagMock.install();
+  }]);
+
+// eslint-disable-next-line
+})(angularDfpMocks);
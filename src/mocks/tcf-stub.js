@@ -0,0 +1,198 @@
+/**
+* @file A local stub CMP implementing the IAB TCF v2 `__tcfapi`.
+*
+* The `dfpTcfStub` service installs a minimal, in-memory consent management
+* platform on the window, so that the consent gating of the library can be
+* exercised in tests (or during development) without a real CMP.
+*
+* @example <caption>Granting consent in a test.</caption>
+* beforeEach(module('angularDfpMocks'));
+*
+* it('requests personalized ads', inject(dfpTcfStub => {
+*   dfpTcfStub.install({eventStatus: 'cmpuishown'});
+*   dfp();
+*   // ...
+*   dfpTcfStub.setConsent({purposes: [1, 2, 3, 4]});
+* }));
+*
+* @module tcf-stub
+* @license Apache
+* Copyright 2016 Google Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+// eslint-disable-next-line valid-jsdoc
+(/** @lends module:tcf-stub */ function(module) {
+  'use strict';
+
+  /**
+  * The factory for the `dfpTcfStub` service.
+  *
+  * @private
+  * @param {!angular.$window} $window The Angular `$window` service.
+  * @return {!Object} The `dfpTcfStub` service.
+  */
+  function dfpTcfStubFactory($window) {
+    /**
+    * The registered listeners, by listener ID.
+    * @type {!Object<number, Function>}
+    */
+    let listeners = {};
+
+    /**
+    * The next listener ID to hand out.
+    * @type {number}
+    */
+    let nextListenerId = 1;
+
+    /**
+    * The current TC data (without listener ID).
+    * @type {!Object}
+    */
+    let current = {};
+
+    /**
+    * Builds TC data from stub options.
+    *
+    * @param  {Object=} options The options: `gdprApplies` (default true),
+    *                   `tcString`, `eventStatus` (default 'tcloaded') and
+    *                   `purposes`, an array of consented purpose IDs (default
+    *                   none).
+    * @return {!Object} The TC data.
+    */
+    function makeTCData(options) {
+      options = options || {};
+
+      const consents = {};
+      (options.purposes || []).forEach(purpose => {
+        consents[purpose] = true;
+      });
+
+      /* eslint-disable quote-props */
+      return {
+        'tcString': options.tcString || 'STUB-TC-STRING',
+        'gdprApplies': options.gdprApplies !== false,
+        'eventStatus': options.eventStatus || 'tcloaded',
+        'cmpStatus': 'loaded',
+        'purpose': {'consents': consents, 'legitimateInterests': {}}
+      };
+      /* eslint-enable quote-props */
+    }
+
+    /**
+    * Returns a copy of the current TC data for a listener.
+    * @param  {number=} listenerId The ID of the listener.
+    * @return {!Object} The TC data.
+    */
+    function tcDataFor(listenerId) {
+      // eslint-disable-next-line no-undef
+      return angular.extend({}, current, {listenerId});
+    }
+
+    /**
+    * The stubbed `__tcfapi` function.
+    * @param {string} command The TCF command.
+    * @param {number} version The TCF version (must be 2).
+    * @param {Function} callback The callback.
+    * @param {*=} parameter The command parameter, if any.
+    */
+    function tcfapi(command, version, callback, parameter) {
+      if (version !== 2) {
+        callback(null, false);
+        return;
+      }
+
+      switch (command) {
+        case 'ping':
+          // eslint-disable-next-line quote-props
+          callback({'gdprApplies': current.gdprApplies, 'cmpLoaded': true});
+          break;
+        case 'getTCData':
+          callback(tcDataFor(), true);
+          break;
+        case 'addEventListener': {
+          const listenerId = nextListenerId++;
+          listeners[listenerId] = callback;
+          callback(tcDataFor(listenerId), true);
+          break;
+        }
+        case 'removeEventListener': {
+          const found = parameter in listeners;
+          delete listeners[parameter];
+          callback(found);
+          break;
+        }
+        default:
+          callback(null, false);
+      }
+    }
+
+    /**
+    * Installs the stub as `window.__tcfapi`.
+    * @param {Object=} options The initial consent (see `setConsent`).
+    */
+    function install(options) {
+      listeners = {};
+      current = makeTCData(options);
+      $window.__tcfapi = tcfapi;
+    }
+
+    /**
+    * Changes the consent and notifies all listeners.
+    *
+    * Unless overridden, the event status is 'useractioncomplete', as if the
+    * user had just made a choice in the CMP UI.
+    *
+    * @param {Object=} options The options: `gdprApplies`, `tcString`,
+    *                  `eventStatus` and `purposes`.
+    */
+    function setConsent(options) {
+      // eslint-disable-next-line no-undef
+      options = angular.extend({eventStatus: 'useractioncomplete'}, options);
+      current = makeTCData(options);
+
+      Object.keys(listeners).forEach(listenerId => {
+        listeners[listenerId](tcDataFor(Number(listenerId)), true);
+      });
+    }
+
+    /**
+    * Removes the stub from the window.
+    */
+    function uninstall() {
+      listeners = {};
+      delete $window.__tcfapi;
+    }
+
+    /**
+    * @return {number} The number of registered listeners.
+    */
+    function countListeners() {
+      return Object.keys(listeners).length;
+    }
+
+    /* eslint-disable quote-props */
+    return {
+      'install': install,
+      'setConsent': setConsent,
+      'uninstall': uninstall,
+      'countListeners': countListeners
+    };
+    /* eslint-enable quote-props */
+  }
+
+  module.factory('dfpTcfStub', ['$window', dfpTcfStubFactory]);
+
+// eslint-disable-next-line
+})(angularDfpMocks);